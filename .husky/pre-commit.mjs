@@ -2,8 +2,8 @@ import { exec } from "node:child_process";
 
 const run = (cmd) => new Promise((resolve, reject) => exec(
   cmd,
-  (error, stdout) => {
-    if (error) reject(error);
+  (error, stdout, stderr) => {
+    if (error) reject(Object.assign(error, { stdout, stderr }));
     else resolve(stdout);
   }
 ));
@@ -14,7 +14,14 @@ const modifiedFiles = changeset.split('\n').filter(Boolean);
 // check if there are any model files staged
 const modifledPartials = modifiedFiles.filter((file) => file.match(/(^|\/)_.*.json/));
 if (modifledPartials.length > 0) {
-  const output = await run('npm run build:json --silent');
-  console.log(output);
+  try {
+    const output = await run('npm run build:json --silent');
+    console.log(output);
+  } catch (error) {
+    // report why the component models, definitions or filters are invalid
+    console.error(error.stdout);
+    console.error(error.stderr);
+    process.exit(1);
+  }
   await run('git add component-models.json component-definition.json component-filters.json');
 }
@@ -0,0 +1,120 @@
+import { createTag, getUniqueId, moveInstrumentation } from '../../scripts/scripts.js';
+
+// the questions of each FAQ accordion on the page, by the resource or the index of the block
+const faqs = new Map();
+let faqCount = 0;
+
+/**
+ * Adds the questions and answers to the FAQPage JSON-LD of the page,
+ * so several FAQ accordions on a page are described as one FAQPage.
+ * A block decorated again, e.g. in the editor, replaces its questions.
+ * @param {Element} block The accordion block
+ * @param {Element[]} items The accordion items
+ */
+function addFAQSchema(block, items) {
+  const entities = items
+    .map((details) => ({
+      '@type': 'Question',
+      name: details.querySelector('summary').textContent.trim(),
+      acceptedAnswer: {
+        '@type': 'Answer',
+        text: details.querySelector('.accordion-item-body').textContent.trim(),
+      },
+    }))
+    .filter(({ name, acceptedAnswer }) => name && acceptedAnswer.text);
+
+  if (!block.dataset.faqKey) {
+    faqCount += 1;
+    block.dataset.faqKey = block.dataset.aueResource || `faq-${faqCount}`;
+  }
+  faqs.set(block.dataset.faqKey, { block, entities });
+  // accordions removed from the page no longer contribute
+  [...faqs].filter(([, faq]) => faq.block !== block && !faq.block.isConnected)
+    .forEach(([key]) => faqs.delete(key));
+
+  const mainEntity = [...faqs.values()].flatMap((faq) => faq.entities);
+  let script = document.head.querySelector('script[type="application/ld+json"][data-faq]');
+  if (!mainEntity.length) {
+    script?.remove();
+    return;
+  }
+  if (!script) {
+    script = createTag('script', { type: 'application/ld+json', 'data-faq': true });
+    document.head.append(script);
+  }
+  script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity });
+}
+
+/**
+ * Opens the accordion item the url hash points to.
+ * @param {Element[]} items The accordion items
+ */
+function openFromHash(items) {
+  const id = decodeURIComponent(window.location.hash.substring(1));
+  const details = items.find((item) => item.id === id);
+  if (details) details.open = true;
+}
+
+export default function decorate(block) {
+  const items = [...block.children].map((row) => {
+    const [summaryCell, textCell] = row.children;
+    const summary = createTag('summary', { class: 'accordion-item-label' });
+    moveInstrumentation(summaryCell, summary);
+    // a summary only holds phrasing content, so a single paragraph is unwrapped
+    const label = summaryCell.children.length === 1 && summaryCell.firstElementChild.tagName === 'P'
+      ? summaryCell.firstElementChild
+      : summaryCell;
+    summary.append(...label.childNodes);
+
+    const body = textCell || createTag('div');
+    body.className = 'accordion-item-body';
+
+    const details = createTag('details', { class: 'accordion-item', id: getUniqueId(summary.textContent, 'accordion-item', block) }, [summary, body]);
+    moveInstrumentation(row, details);
+    row.replaceWith(details);
+    return details;
+  });
+  if (!items.length) return;
+
+  // the item toggled by the visitor is reflected in the url hash, so it can be linked to
+  let clicked;
+  items.forEach((details) => details.querySelector('summary').addEventListener('click', () => {
+    clicked = details;
+  }));
+  items.forEach((details) => details.addEventListener('toggle', () => {
+    if (details !== clicked) return;
+    clicked = undefined;
+    const hash = `#${details.id}`;
+    if (details.open && window.location.hash !== hash) {
+      window.history.replaceState(window.history.state, '', hash);
+    } else if (!details.open && window.location.hash === hash) {
+      const { pathname, search } = window.location;
+      window.history.replaceState(window.history.state, '', `${pathname}${search}`);
+    }
+  }));
+  openFromHash(items);
+  // stops listening once the block is replaced, e.g. when the editor decorates it again
+  const onHashChange = () => {
+    if (block.isConnected) openFromHash(items);
+    else window.removeEventListener('hashchange', onHashChange);
+  };
+  window.addEventListener('hashchange', onHashChange);
+
+  if (items.length > 1) {
+    const expand = createTag('button', { type: 'button', class: 'accordion-expand-all' });
+    const render = () => {
+      const allOpen = items.every((details) => details.open);
+      expand.textContent = allOpen ? 'Collapse all' : 'Expand all';
+      expand.setAttribute('aria-expanded', allOpen ? 'true' : 'false');
+    };
+    expand.addEventListener('click', () => {
+      const open = !items.every((details) => details.open);
+      items.forEach((details) => { details.open = open; });
+    });
+    items.forEach((details) => details.addEventListener('toggle', render));
+    block.prepend(createTag('div', { class: 'accordion-controls' }, expand));
+    render();
+  }
+
+  if (block.classList.contains('faq')) addFAQSchema(block, items);
+}
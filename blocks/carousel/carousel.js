@@ -0,0 +1,168 @@
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { createTag, moveInstrumentation } from '../../scripts/scripts.js';
+
+const AUTOPLAY_INTERVAL = 6000;
+
+let carouselId = 0;
+
+/**
+ * Creates a slide from a card item row.
+ * @param {Element} row The item row
+ * @param {number} index The index of the slide
+ * @param {number} count The number of slides
+ * @param {boolean} eager Whether the image of the slide is part of the LCP
+ * @returns {Element} The slide
+ */
+function createSlide(row, index, count, eager) {
+  const slide = createTag('li', {
+    class: 'carousel-slide',
+    role: 'group',
+    'aria-roledescription': 'slide',
+    'aria-label': `${index + 1} of ${count}`,
+  });
+  moveInstrumentation(row, slide);
+  [...row.children].forEach((cell) => {
+    const img = cell.querySelector('picture > img');
+    if (img && cell.children.length === 1) {
+      // only the first slide is visible initially, the images of the others are loaded lazily
+      const picture = createOptimizedPicture(img.src, img.alt, eager && index === 0, [
+        { media: '(min-width: 900px)', width: '1600' },
+        { width: '750' },
+      ]);
+      moveInstrumentation(img, picture.querySelector('img'));
+      img.closest('picture').replaceWith(picture);
+      cell.className = 'carousel-slide-image';
+    } else {
+      cell.className = 'carousel-slide-content';
+    }
+    slide.append(cell);
+  });
+  return slide;
+}
+
+export default function decorate(block) {
+  carouselId += 1;
+  const id = `carousel-${carouselId}`;
+  const rows = [...block.children];
+  const eager = block.closest('.section') === document.querySelector('main .section');
+
+  const slides = createTag('ul', { class: 'carousel-slides', id: `${id}-slides`, 'aria-live': 'polite' });
+  rows.forEach((row, i) => slides.append(createSlide(row, i, rows.length, eager)));
+
+  block.setAttribute('role', 'region');
+  block.setAttribute('aria-roledescription', 'carousel');
+  block.setAttribute('aria-label', 'Carousel');
+  block.replaceChildren(slides);
+  if (rows.length < 2) return;
+
+  let current = 0;
+  let timer;
+  let paused = false;
+
+  const indicators = [...slides.children].map((slide, i) => {
+    const indicator = createTag('button', {
+      type: 'button',
+      class: 'carousel-indicator',
+      'aria-controls': `${id}-slides`,
+      'aria-label': `Show slide ${i + 1} of ${rows.length}`,
+    });
+    return createTag('li', {}, indicator);
+  });
+  const prev = createTag('button', {
+    type: 'button', class: 'carousel-prev', 'aria-controls': `${id}-slides`, 'aria-label': 'Previous slide',
+  });
+  const next = createTag('button', {
+    type: 'button', class: 'carousel-next', 'aria-controls': `${id}-slides`, 'aria-label': 'Next slide',
+  });
+
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const showSlide = (index) => {
+    current = (index + rows.length) % rows.length;
+    const slide = slides.children[current];
+    slides.scrollTo({
+      left: slide.offsetLeft - slides.offsetLeft,
+      behavior: reducedMotion ? 'auto' : 'smooth',
+    });
+  };
+
+  // the visible slide is tracked while scrolling, so swiping updates the indicators too
+  const update = (index) => {
+    current = index;
+    [...slides.children].forEach((slide, i) => {
+      const active = i === index;
+      slide.setAttribute('aria-hidden', active ? 'false' : 'true');
+      slide.querySelectorAll('a, button, input, select, textarea').forEach((el) => {
+        if (active) el.removeAttribute('tabindex');
+        else el.setAttribute('tabindex', '-1');
+      });
+      const indicator = indicators[i].firstElementChild;
+      if (active) indicator.setAttribute('aria-current', 'true');
+      else indicator.removeAttribute('aria-current');
+    });
+  };
+  const observer = new IntersectionObserver((entries) => {
+    entries
+      .filter((entry) => entry.isIntersecting)
+      .forEach((entry) => update([...slides.children].indexOf(entry.target)));
+  }, { root: slides, threshold: 0.6 });
+  [...slides.children].forEach((slide) => observer.observe(slide));
+  update(0);
+
+  indicators.forEach((li, i) => li.firstElementChild.addEventListener('click', () => showSlide(i)));
+  prev.addEventListener('click', () => showSlide(current - 1));
+  next.addEventListener('click', () => showSlide(current + 1));
+  block.addEventListener('keydown', (e) => {
+    const target = {
+      ArrowLeft: current - 1,
+      ArrowRight: current + 1,
+      Home: 0,
+      End: rows.length - 1,
+    }[e.key];
+    if (target === undefined || e.target.closest('input, select, textarea')) return;
+    e.preventDefault();
+    showSlide(target);
+  });
+
+  const navigation = createTag('div', { class: 'carousel-navigation' }, [
+    prev,
+    createTag('ol', { class: 'carousel-indicators', 'aria-label': 'Slides' }, indicators),
+    next,
+  ]);
+  block.append(navigation);
+
+  // autoplay stops while hovered or focused, or when paused, and never starts under reduced motion
+  if (!block.classList.contains('autoplay') || reducedMotion) return;
+
+  slides.setAttribute('aria-live', 'off');
+  const toggle = createTag('button', {
+    type: 'button', class: 'carousel-toggle', 'aria-controls': `${id}-slides`,
+  });
+  const stop = () => {
+    clearInterval(timer);
+    timer = undefined;
+  };
+  const start = () => {
+    if (paused || timer) return;
+    timer = setInterval(() => showSlide(current + 1), AUTOPLAY_INTERVAL);
+  };
+  const render = () => {
+    toggle.setAttribute('aria-label', paused ? 'Start automatic slide show' : 'Stop automatic slide show');
+    toggle.classList.toggle('paused', paused);
+  };
+  toggle.addEventListener('click', () => {
+    paused = !paused;
+    slides.setAttribute('aria-live', paused ? 'polite' : 'off');
+    if (paused) stop();
+    else start();
+    render();
+  });
+  block.addEventListener('mouseenter', stop);
+  block.addEventListener('mouseleave', start);
+  block.addEventListener('focusin', stop);
+  block.addEventListener('focusout', (e) => {
+    if (!block.contains(e.relatedTarget)) start();
+  });
+  navigation.prepend(toggle);
+  render();
+  start();
+}
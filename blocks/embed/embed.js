@@ -0,0 +1,131 @@
+/*
+ * Embed Block
+ * Embeds YouTube and Vimeo videos or any other page behind a lightweight facade, so the
+ * iframe is only loaded on interaction or once the block comes near the viewport.
+ */
+
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { createTag, moveInstrumentation, sanitizeUrl } from '../../scripts/scripts.js';
+
+const NEAR_VIEWPORT = '200px';
+
+/**
+ * Returns the iframe url and title of an embedded url.
+ * @param {URL} url The url to embed
+ * @param {object} options Whether to autoplay, muted, and loop the video
+ * @returns {object} The src and title of the iframe, null if the url cannot be embedded
+ */
+function getEmbed(url, { autoplay, muted, loop }) {
+  const host = url.hostname.replace(/^www\./, '');
+  if (['youtube.com', 'm.youtube.com', 'youtu.be', 'youtube-nocookie.com'].includes(host)) {
+    const id = host === 'youtu.be'
+      ? url.pathname.substring(1)
+      : url.searchParams.get('v') || url.pathname.split('/').pop();
+    const params = new URLSearchParams({ rel: 0, playsinline: 1 });
+    if (autoplay) params.set('autoplay', 1);
+    if (muted) params.set('mute', 1);
+    if (loop) {
+      params.set('loop', 1);
+      params.set('playlist', id);
+    }
+    return { src: `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}?${params}`, title: 'YouTube video' };
+  }
+  if (['vimeo.com', 'player.vimeo.com'].includes(host)) {
+    // e.g. /123456, /123456/hash of unlisted videos, or /channels/staff/123456
+    const segments = url.pathname.split('/');
+    const index = segments.findIndex((segment) => /^\d+$/.test(segment));
+    if (index < 0) return null;
+    const [id, hash] = segments.slice(index);
+    const params = new URLSearchParams({ dnt: 1 });
+    if (hash || url.searchParams.has('h')) params.set('h', hash || url.searchParams.get('h'));
+    if (autoplay) params.set('autoplay', 1);
+    if (muted) params.set('muted', 1);
+    if (loop) params.set('loop', 1);
+    return { src: `https://player.vimeo.com/video/${encodeURIComponent(id)}?${params}`, title: 'Vimeo video' };
+  }
+  if (url.protocol === 'https:') return { src: url.href, title: 'Embedded content' };
+  return null;
+}
+
+/**
+ * Creates the iframe of an embed.
+ * @param {object} embed The src and title of the iframe
+ * @returns {Element} The iframe
+ */
+function createIframe({ src, title }) {
+  return createTag('iframe', {
+    src,
+    title,
+    loading: 'lazy',
+    allow: 'autoplay; fullscreen; picture-in-picture; encrypted-media',
+    allowfullscreen: true,
+  });
+}
+
+export default function decorate(block) {
+  const link = block.querySelector('a');
+  const href = sanitizeUrl(link ? link.href : block.querySelector(':scope > div')?.textContent.trim());
+  const img = block.querySelector('picture > img');
+  const autoplay = block.classList.contains('autoplay');
+  const loop = block.classList.contains('loop');
+  if (!href) {
+    block.textContent = '';
+    return;
+  }
+  const url = new URL(href, window.location.href);
+  const label = link && link.textContent.trim() !== link.href ? link.textContent.trim() : '';
+
+  const wrapper = createTag('div', { class: 'embed-wrapper' });
+
+  const load = (interacted) => {
+    // a click starts the video, without one it only starts if autoplaying, which requires muting
+    const embed = getEmbed(url, {
+      autoplay: interacted || autoplay,
+      muted: !interacted && autoplay,
+      loop,
+    });
+    if (!embed) {
+      wrapper.replaceChildren(createTag('a', { href: url.href }, label || url.href));
+      return;
+    }
+    if (label) embed.title = label;
+    const iframe = createIframe(embed);
+    iframe.addEventListener('load', () => block.classList.add('embed-loaded'), { once: true });
+    wrapper.append(iframe);
+  };
+
+  if (img && !autoplay) {
+    // click to load facade
+    const picture = createOptimizedPicture(img.src, img.alt, false, [
+      { media: '(min-width: 600px)', width: '1200' },
+      { width: '750' },
+    ]);
+    moveInstrumentation(img, picture.querySelector('img'));
+    const play = createTag('button', {
+      type: 'button',
+      class: 'embed-play',
+      'aria-label': `Play ${label || img.alt || 'video'}`,
+    }, picture);
+    play.addEventListener('click', () => {
+      load(true);
+      play.remove();
+    }, { once: true });
+    wrapper.append(play);
+  } else {
+    if (img) {
+      const picture = createOptimizedPicture(img.src, img.alt, false, [{ width: '1200' }]);
+      picture.classList.add('embed-poster');
+      moveInstrumentation(img, picture.querySelector('img'));
+      wrapper.append(picture);
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        load(false);
+      }
+    }, { rootMargin: NEAR_VIEWPORT });
+    observer.observe(block);
+  }
+
+  block.replaceChildren(wrapper);
+}
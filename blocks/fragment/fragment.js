@@ -5,26 +5,99 @@
  */
 
 import {
+  createTag,
   decorateMain,
+  getEnvironment,
 } from '../../scripts/scripts.js';
 
 import {
   loadSections,
+  toClassName,
 } from '../../scripts/aem.js';
 
+// fragments nested deeper than this are not loaded
+const MAX_DEPTH = 5;
+
+// the html of the fragments loaded on this page, by path
+const fragments = new Map();
+
+/**
+ * Fetches the html of a fragment, once per page.
+ * @param {string} path The path to the fragment
+ * @returns {Promise<string>} The html, null if the fragment does not exist
+ */
+function fetchFragment(path) {
+  if (!fragments.has(path)) {
+    fragments.set(path, fetch(`${path}.plain.html`)
+      .then((resp) => (resp.ok ? resp.text() : null))
+      .catch(() => null));
+  }
+  return fragments.get(path);
+}
+
+/**
+ * Creates the root element of a fragment which could not be loaded. Authors see why,
+ * visitors see nothing.
+ * @param {string} message The reason
+ * @returns {HTMLElement} The root element with the warning, null outside of author
+ */
+function createWarning(message) {
+  // eslint-disable-next-line no-console
+  console.warn(message);
+  if (getEnvironment() !== 'author') return null;
+  const main = document.createElement('main');
+  main.append(createTag('div', { class: 'section' }, createTag('p', { class: 'fragment-warning', role: 'note' }, message)));
+  return main;
+}
+
+/**
+ * Keeps the selected section of a fragment, by its name or its 1-based index.
+ * @param {HTMLElement} main The decorated root element of the fragment
+ * @param {string} selector The name or the index of the section
+ * @returns {boolean} Whether the section exists
+ */
+function selectSection(main, selector) {
+  const sections = [...main.querySelectorAll(':scope > .section')];
+  const index = /^\d+$/.test(selector) ? Number(selector) - 1 : -1;
+  const name = toClassName(selector);
+  const selected = sections[index] || sections.find((section) => (
+    toClassName(section.dataset.name) === name || section.id === selector));
+  if (!selected) return false;
+  sections.filter((section) => section !== selected).forEach((section) => section.remove());
+  return true;
+}
+
 /**
- * Loads a fragment.
+ * Loads a fragment. A section of the fragment can be selected with the hash of the path,
+ * e.g. /fragments/offers#2 or /fragments/offers#credit-cards. Fragments including
+ * themselves or the page they are on, directly or through other fragments, are not loaded.
  * @param {string} path The path to the fragment
+ * @param {Element} [parent] The element the fragment is loaded into, to detect cycles
  * @returns {HTMLElement} The root element of the fragment
  */
-export async function loadFragment(path) {
+export async function loadFragment(path, parent) {
   if (path && path.startsWith('/')) {
+    const [pathname, selector] = path.split('#');
     // eslint-disable-next-line no-param-reassign
-    path = path.replace(/(\.plain)?\.html/, '');
-    const resp = await fetch(`${path}.plain.html`);
-    if (resp.ok) {
+    path = pathname.replace(/(\.plain)?\.html/, '');
+
+    // the paths of the page and of the fragments the parent is nested in
+    const ancestor = parent?.closest('[data-fragment-chain]');
+    const chain = ancestor
+      ? ancestor.dataset.fragmentChain.split(' ')
+      : [window.location.pathname.replace(/(\.plain)?\.html$/, '')];
+    if (chain.includes(path)) {
+      return createWarning(`Fragment ${path} includes itself via ${[...chain, path].join(' > ')}`);
+    }
+    if (chain.length > MAX_DEPTH) {
+      return createWarning(`Fragment ${path} is nested more than ${MAX_DEPTH} levels deep`);
+    }
+
+    const html = await fetchFragment(path);
+    if (html !== null) {
       const main = document.createElement('main');
-      main.innerHTML = await resp.text();
+      main.dataset.fragmentChain = [...chain, path].join(' ');
+      main.innerHTML = html;
 
       // reset base path for media to fragment base
       const resetAttributeBase = (tag, attr) => {
@@ -36,6 +109,9 @@ export async function loadFragment(path) {
       resetAttributeBase('source', 'srcset');
 
       decorateMain(main);
+      if (selector && !selectSection(main, decodeURIComponent(selector))) {
+        return createWarning(`Fragment ${path} has no section ${selector}`);
+      }
       await loadSections(main);
       return main;
     }
@@ -46,13 +122,30 @@ export async function loadFragment(path) {
 export default async function decorate(block) {
   const link = block.querySelector('a');
   const path = link ? link.getAttribute('href') : block.textContent.trim();
-  const fragment = await loadFragment(path);
-  if (fragment) {
-    const fragmentSection = fragment.querySelector(':scope .section');
-    if (fragmentSection) {
-      block.classList.add(...fragmentSection.classList);
-      block.classList.remove('section');
-      block.replaceChildren(...fragmentSection.childNodes);
-    }
+  const fragment = await loadFragment(path, block);
+  if (!fragment) return;
+
+  const sections = [...fragment.querySelectorAll(':scope > .section')];
+  if (block.classList.contains('isolated')) {
+    // each section keeps its classes and metadata, styling only its own content
+    sections.forEach((section) => section.classList.add('fragment-section'));
+    block.replaceChildren(...(block.classList.contains('all-sections') ? sections : sections.slice(0, 1)));
+  } else if (block.classList.contains('all-sections')) {
+    // the classes and metadata of all sections merge into the section holding the fragment
+    const host = block.closest('.section');
+    sections.forEach((section) => {
+      if (host) {
+        host.classList.add(...[...section.classList].filter((name) => name !== 'section'));
+        Object.entries(section.dataset)
+          .filter(([key]) => key !== 'sectionStatus' && !(key in host.dataset))
+          .forEach(([key, value]) => { host.dataset[key] = value; });
+      }
+    });
+    block.replaceChildren(...sections.flatMap((section) => [...section.childNodes]));
+  } else if (sections.length) {
+    const [fragmentSection] = sections;
+    block.classList.add(...fragmentSection.classList);
+    block.classList.remove('section');
+    block.replaceChildren(...fragmentSection.childNodes);
   }
 }
@@ -0,0 +1,65 @@
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { moveInstrumentation } from '../../scripts/scripts.js';
+
+const VIDEO_PATTERN = /\.(mp4|webm|mov)$/i;
+
+/**
+ * Creates a muted, looping background video which only starts once the page has loaded,
+ * so it does not compete with the image for the LCP. Visitors who prefer reduced motion
+ * keep seeing the image.
+ * @param {string} src The url of the video
+ * @returns {Element} The video element
+ */
+function createBackgroundVideo(src) {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.preload = 'none';
+  video.setAttribute('aria-hidden', 'true');
+  video.setAttribute('tabindex', '-1');
+
+  const start = () => {
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+    video.src = src;
+    video.addEventListener('canplay', () => video.classList.add('hero-video-playing'), { once: true });
+    video.play().catch(() => {});
+  };
+  if (document.readyState === 'complete') start();
+  else window.addEventListener('load', start, { once: true });
+  return video;
+}
+
+export default function decorate(block) {
+  const media = document.createElement('div');
+  media.className = 'hero-media';
+  const content = document.createElement('div');
+  content.className = 'hero-content';
+
+  [...block.children].forEach((row) => {
+    const cell = row.firstElementChild || row;
+    const img = cell.querySelector('picture > img');
+    const links = [...cell.querySelectorAll('a')];
+    if (img) {
+      // the imageAlt field is collapsed into the alt of the image
+      const picture = createOptimizedPicture(img.src, img.alt, true, [
+        { media: '(min-width: 600px)', width: '2000' },
+        { width: '750' },
+      ]);
+      const optimizedImg = picture.querySelector('img');
+      optimizedImg.setAttribute('fetchpriority', 'high');
+      moveInstrumentation(img, optimizedImg);
+      media.prepend(picture);
+    } else if (links.length === 1 && VIDEO_PATTERN.test(new URL(links[0].href).pathname)
+      && cell.textContent.trim() === links[0].textContent.trim()) {
+      media.append(createBackgroundVideo(links[0].href));
+    } else if (cell.textContent.trim()) {
+      moveInstrumentation(cell, content);
+      content.append(...cell.childNodes);
+    }
+    row.remove();
+  });
+
+  if (media.children.length) block.append(media);
+  block.append(content);
+}
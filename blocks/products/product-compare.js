@@ -0,0 +1,145 @@
+/*
+ * Product Comparison
+ * Lets visitors tick up to three product cards and compares them side by side.
+ * The selection is kept in the compare query parameter, so comparisons can be shared.
+ */
+
+import { createTag } from '../../scripts/scripts.js';
+import { describeProduct } from './product-data.js';
+
+const MAX_SELECTED = 3;
+const PARAM = 'compare';
+
+/**
+ * Reads the selected fragment paths from the url.
+ * @returns {string[]} The selected paths
+ */
+function readSelection() {
+  const value = new URLSearchParams(window.location.search).get(PARAM);
+  return value ? value.split(',').filter((path) => path) : [];
+}
+
+/**
+ * Writes the selected fragment paths to the url, keeping the selection of other blocks.
+ * @param {string[]} selected The paths selected in this block
+ * @param {Map} products The products of this block by path
+ */
+function writeSelection(selected, products) {
+  const others = readSelection().filter((path) => !products.has(path));
+  const paths = [...others, ...selected];
+  const url = new URL(window.location.href);
+  if (paths.length) url.searchParams.set(PARAM, paths.join(','));
+  else url.searchParams.delete(PARAM);
+  window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Creates a table cell listing the given lines.
+ * @param {string[]} lines The lines of the cell
+ * @returns {Element} The cell
+ */
+function createListCell(lines) {
+  if (!lines.length) return createTag('td', {}, '–');
+  if (lines.length === 1) return createTag('td', {}, lines[0]);
+  return createTag('td', {}, createTag('ul', {}, lines.map((line) => createTag('li', {}, line))));
+}
+
+/**
+ * Creates the rows of key-value facts, aligned by their label across products.
+ * @param {string} group The name of the facts, rates or fees
+ * @param {object[]} described The described products
+ * @returns {Element[]} The rows
+ */
+function createFactRows(group, described) {
+  const labels = [...new Set(described
+    .flatMap((product) => product[group].map(({ label }) => label)))];
+  return labels.map((label) => createTag('tr', {}, [
+    createTag('th', { scope: 'row' }, label),
+    ...described.map((product) => {
+      const fact = product[group].find((entry) => entry.label === label);
+      return createTag('td', {}, fact ? fact.value : '–');
+    }),
+  ]));
+}
+
+/**
+ * Creates the comparison table of the given products.
+ * @param {object[]} described The described products
+ * @returns {Element} The table
+ */
+function createTable(described) {
+  const head = createTag('thead', {}, createTag('tr', {}, [
+    createTag('td'),
+    ...described.map(({ name }) => createTag('th', { scope: 'col' }, name)),
+  ]));
+  const textRow = (label, key) => createTag('tr', {}, [
+    createTag('th', { scope: 'row' }, label),
+    ...described.map((product) => createListCell(product[key])),
+  ]);
+  const body = createTag('tbody', {}, [
+    ...createFactRows('fees', described),
+    ...createFactRows('rates', described),
+    textRow('Promotion', 'promo'),
+    textRow('Features', 'features'),
+    textRow('Notes', 'notes'),
+  ]);
+  return createTag('table', {}, [
+    createTag('caption', {}, `Comparing ${described.map(({ name }) => name).join(', ')}`),
+    head,
+    body,
+  ]);
+}
+
+/**
+ * Adds the comparison to a products block.
+ * @param {Element} block The products block
+ * @returns {function} Registers a hydrated card and its product data
+ */
+export default function decorateCompare(block) {
+  const products = new Map();
+  let selected = readSelection();
+
+  const comparison = createTag('div', { class: 'products-comparison', 'aria-live': 'polite' });
+
+  const render = () => {
+    if (!comparison.isConnected) block.append(comparison);
+    const chosen = selected.filter((path) => products.has(path));
+    products.forEach(({ checkbox }, path) => {
+      checkbox.checked = chosen.includes(path);
+      checkbox.disabled = !checkbox.checked && chosen.length >= MAX_SELECTED;
+    });
+    if (chosen.length < 2) {
+      const hint = createTag('p', { class: 'products-comparison-hint' }, 'Select two or three cards to compare them.');
+      comparison.replaceChildren(hint);
+      return;
+    }
+    const described = chosen.map((path) => describeProduct(products.get(path).productData));
+    const clear = createTag('button', { type: 'button', class: 'button secondary' }, 'Clear comparison');
+    clear.addEventListener('click', () => {
+      selected = selected.filter((path) => !products.has(path));
+      writeSelection([], products);
+      render();
+    });
+    const table = createTag('div', { class: 'products-comparison-table' }, createTable(described));
+    comparison.replaceChildren(table, clear);
+  };
+
+  return (li, productData) => {
+    const path = li.dataset.fragmentPath;
+    if (!path || !productData) return;
+
+    const checkbox = createTag('input', { type: 'checkbox', name: PARAM, value: path });
+    checkbox.addEventListener('change', () => {
+      selected = checkbox.checked
+        ? [...selected.filter((p) => p !== path), path]
+        : selected.filter((p) => p !== path);
+      writeSelection(selected.filter((p) => products.has(p)), products);
+      render();
+    });
+    const toggle = createTag('label', { class: 'product-compare-toggle' }, [checkbox, 'Compare']);
+    li.querySelector('.product-card-body').append(toggle);
+
+    products.set(path, { checkbox, productData });
+    render();
+  };
+}
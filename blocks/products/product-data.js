@@ -0,0 +1,346 @@
+/*
+ * Product Data
+ * Loading and normalization of the credit card content fragments shown by the products block.
+ */
+
+import { getMetadata } from '../../scripts/aem.js';
+import { queryContentFragments } from '../../scripts/content-fragments.js';
+import { getCachedFragment, setCachedFragment } from '../../scripts/content-fragment-cache.js';
+
+// fields of a credit card fragment, shared by all product queries
+const CREDIT_CARD_FIELDS = `
+  _path
+  _variation
+  creditCardName
+  creditCardDescription {
+    plaintext
+    html
+  }
+  creditCardImage {
+    ... on ImageRef {
+      _path
+      _authorUrl
+      _publishUrl
+      _dynamicUrl
+      width
+      height
+    }
+  }
+  promo {
+    plaintext
+    html
+  }
+  notes {
+    plaintext
+    html
+  }
+`;
+
+// fields of the migrated model, only requested once the product-structured-fields metadata
+// is set, as GraphQL rejects a whole query naming a field the model does not have
+const STRUCTURED_FIELDS = `
+  _tags
+  features
+  rates
+  fees
+  applyUrl
+  ctaLabel
+`;
+
+const creditCardsByPathQuery = (fields) => `
+  query ($filter: ProductCreditCardModelModelFilter, $variation: String) {
+    productCreditCardModelList(filter: $filter, variation: $variation) {
+      items {
+        ${fields}
+      }
+    }
+  }
+`;
+
+const creditCardsListingQuery = (fields) => `
+  query (
+    $filter: ProductCreditCardModelModelFilter,
+    $sort: String,
+    $first: Int,
+    $after: String
+  ) {
+    productCreditCardModelPaginated(filter: $filter, sort: $sort, first: $first, after: $after) {
+      edges {
+        node {
+          ${fields}
+        }
+      }
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+    }
+  }
+`;
+
+export const LISTING_SORTS = ['creditCardName ASC', 'creditCardName DESC', '_path ASC', '_path DESC'];
+
+export const MASTER = 'master';
+
+/**
+ * Returns the fields the product queries request, and the suffix of the persisted queries
+ * requesting them: the structured fields are only requested once the model has them.
+ * @returns {object} The fields and the persisted query suffix
+ */
+function getQueryFields() {
+  if (getMetadata('product-structured-fields').toLowerCase() === 'true') {
+    return { fields: `${CREDIT_CARD_FIELDS}${STRUCTURED_FIELDS}`, suffix: '-structured' };
+  }
+  return { fields: CREDIT_CARD_FIELDS, suffix: '' };
+}
+
+/**
+ * Builds the key of a fragment in a given variation.
+ * @param {string} path The path of the content fragment
+ * @param {string} variation The variation of the content fragment
+ * @returns {string} The key
+ */
+export function toFragmentKey(path, variation) {
+  return `${path}@${variation}`;
+}
+
+/**
+ * Fetches the credit card content fragments with the given paths in one variation.
+ * @param {string[]} paths The paths of the content fragments
+ * @param {string} variation The variation to request
+ * @returns {Promise<object[]>} The fragment items
+ */
+async function queryCreditCards(paths, variation) {
+  const filter = {
+    _path: {
+      _logOp: 'OR',
+      _expressions: [...paths].sort().map((value) => ({ value, _operator: 'EQUALS' })),
+    },
+  };
+  const { fields, suffix } = getQueryFields();
+  const data = await queryContentFragments({
+    persistedQuery: `product-credit-cards-by-path${suffix}`,
+    query: creditCardsByPathQuery(fields),
+    variables: { filter, variation: variation === MASTER ? undefined : variation },
+  });
+  return data?.productCreditCardModelList?.items || [];
+}
+
+/**
+ * Fetches the credit card content fragments with the given paths in one variation.
+ * Items whose variation does not exist are resolved with the master data and flagged
+ * with variationMissing.
+ * @param {string[]} paths The paths of the content fragments
+ * @param {string} variation The variation to request
+ * @returns {Promise<Map<string, object>>} The fragment data by path
+ */
+async function fetchVariation(paths, variation) {
+  const fragments = new Map();
+  const items = await queryCreditCards(paths, variation);
+  items.forEach((item) => {
+    // eslint-disable-next-line no-underscore-dangle
+    const { _path: path, _variation: served } = item;
+    const data = variation !== MASTER && served !== variation
+      ? { ...item, variationMissing: variation }
+      : item;
+    setCachedFragment(path, variation, data);
+    fragments.set(path, data);
+  });
+
+  // variations which could not be served at all fall back to master
+  const fallbacks = paths.filter((path) => !fragments.has(path));
+  if (variation !== MASTER && fallbacks.length) {
+    const masters = await queryCreditCards(fallbacks, MASTER);
+    masters.forEach((item) => {
+      // eslint-disable-next-line no-underscore-dangle
+      const { _path: path } = item;
+      const data = { ...item, variationMissing: variation };
+      setCachedFragment(path, variation, data);
+      fragments.set(path, data);
+    });
+  }
+  return fragments;
+}
+
+/**
+ * Fetches the credit card content fragments of the product items, with one concurrent
+ * query per variation. Fragments found in the cache are not requested again.
+ * @param {object[]} requests The path and variation of each product item
+ * @returns {Map<string, Promise<object>>} The pending fragment data, null if not found,
+ * by path and variation
+ */
+export function fetchContentFragments(requests) {
+  const fragments = new Map();
+  const missing = new Map();
+  requests.forEach(({ path, variation }) => {
+    const key = toFragmentKey(path, variation);
+    const cached = getCachedFragment(path, variation);
+    if (cached) {
+      fragments.set(key, Promise.resolve(cached));
+    } else if (!fragments.has(key)) {
+      if (!missing.has(variation)) missing.set(variation, []);
+      missing.get(variation).push(path);
+      fragments.set(key, null);
+    }
+  });
+
+  missing.forEach((paths, variation) => {
+    const loaded = fetchVariation(paths, variation);
+    paths.forEach((path) => {
+      fragments.set(toFragmentKey(path, variation), loaded.then((data) => data.get(path) || null));
+    });
+  });
+  return fragments;
+}
+
+/**
+ * Fetches a page of the credit card content fragments matching a listing.
+ * Listed fragments are cached, so cards picked elsewhere on the page are not requested again.
+ * @param {object} listing The listing configuration
+ * @param {string} [listing.folder] The folder the fragments are in, including subfolders
+ * @param {string[]} [listing.tags] The tags, fragments having any of them are listed
+ * @param {string} [listing.sort] The sort order, one of LISTING_SORTS
+ * @param {number} listing.limit The number of fragments per page
+ * @param {string} [after] The cursor of the previous page
+ * @returns {Promise<object>} The items, the cursor of the page and whether there are more
+ */
+export async function fetchListing({
+  folder,
+  tags = [],
+  sort,
+  limit,
+}, after) {
+  /* eslint-disable no-underscore-dangle */
+  const filter = {};
+  if (folder) {
+    const prefix = folder.endsWith('/') ? folder : `${folder}/`;
+    filter._path = { _expressions: [{ value: prefix, _operator: 'STARTS_WITH' }] };
+  }
+  if (tags.length) {
+    filter._tags = {
+      _logOp: 'OR',
+      _expressions: tags.map((value) => ({ value, _operator: 'EQUALS', _apply: 'AT_LEAST_ONCE' })),
+    };
+  }
+  const { fields, suffix } = getQueryFields();
+  const data = await queryContentFragments({
+    persistedQuery: `product-credit-cards-listing${suffix}`,
+    query: creditCardsListingQuery(fields),
+    variables: {
+      filter,
+      sort: LISTING_SORTS.includes(sort) ? sort : LISTING_SORTS[0],
+      first: limit,
+      after,
+    },
+  });
+  const page = data?.productCreditCardModelPaginated;
+  const items = (page?.edges || []).map(({ node }) => node);
+  items.forEach((item) => setCachedFragment(item._path, MASTER, item));
+  /* eslint-enable no-underscore-dangle */
+  return {
+    items,
+    cursor: page?.pageInfo?.endCursor,
+    hasMore: !!page?.pageInfo?.hasNextPage,
+  };
+}
+
+/**
+ * Splits a plaintext field into its trimmed, non-empty lines.
+ * @param {string} plaintext The plaintext field
+ * @returns {string[]} The lines
+ */
+export function toLines(plaintext) {
+  return plaintext.split('\n').map((line) => line.trim()).filter((line) => line);
+}
+
+/**
+ * Reads a key-value fragment field, either a JSON array of { label, value } entries
+ * or a JSON object mapping labels to values.
+ * @param {Array|object|string} field The field value
+ * @returns {Array<{label: string, value: string}>} The entries
+ */
+export function toKeyValues(field) {
+  let json = field;
+  if (typeof json === 'string') {
+    try {
+      json = JSON.parse(json);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!json || typeof json !== 'object') return [];
+  const entries = Array.isArray(json)
+    ? json.map((entry) => [entry?.label, entry?.value])
+    : Object.entries(json);
+  return entries
+    .filter(([label, value]) => label && value !== undefined && value !== null)
+    .map(([label, value]) => ({ label: String(label), value: String(value) }));
+}
+
+/**
+ * Checks whether a fragment uses the structured shape, i.e. provides features, rates or fees.
+ * @param {object} productData The product data
+ * @returns {boolean} True for structured fragments, false for legacy ones
+ */
+export function isStructured(productData) {
+  return !!([productData.features].flat().some((feature) => feature)
+    || toKeyValues(productData.rates).length
+    || toKeyValues(productData.fees).length);
+}
+
+/**
+ * Normalizes the product data into plain text values, used to compare, filter and
+ * describe products. The fees of legacy fragments are read from the "label - value"
+ * lines of their notes.
+ * @param {object} productData The product data
+ * @returns {object} The name, description, promo, features, rates, fees and notes
+ */
+export function describeProduct(productData) {
+  const product = {
+    name: productData.creditCardName || '',
+    description: productData.creditCardDescription?.plaintext?.trim() || '',
+    promo: toLines(productData.promo?.plaintext || ''),
+    features: [productData.features].flat().filter((feature) => feature).map(String),
+    rates: toKeyValues(productData.rates),
+    fees: toKeyValues(productData.fees),
+    notes: toLines(productData.notes?.plaintext || ''),
+  };
+
+  if (!isStructured(productData)) {
+    const notes = [];
+    product.notes.forEach((line) => {
+      if (line.endsWith(':') || line.toLowerCase().includes('important')) return;
+      if (line.includes(' - ')) {
+        const [label, value] = line.split(' - ', 2);
+        product.fees.push({ label: label.trim(), value: value.trim() });
+      } else {
+        notes.push(line);
+      }
+    });
+    product.notes = notes;
+  }
+  return product;
+}
+
+/**
+ * Reads an amount from a fee or rate value, e.g. "$175", "20.99% p.a." or "Nil".
+ * @param {string} value The value
+ * @returns {number} The amount, or NaN if the value holds none
+ */
+export function toAmount(value) {
+  if (!value) return NaN;
+  if (/\b(nil|none|free|no fee)\b/i.test(value)) return 0;
+  const match = value.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+/**
+ * Finds the amount of the first fee or rate whose label matches.
+ * @param {object} product The described product
+ * @param {RegExp} pattern The label pattern
+ * @returns {number} The amount, or NaN if the product has none
+ */
+export function findAmount(product, pattern) {
+  const fact = [...product.fees, ...product.rates].find(({ label }) => pattern.test(label));
+  return toAmount(fact?.value);
+}
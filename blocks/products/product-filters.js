@@ -0,0 +1,167 @@
+/*
+ * Product Filters
+ * Filter chips and sort controls for the product cards, derived from their fragment data.
+ * The state is kept in the filter and sort query parameters.
+ */
+
+import { createTag } from '../../scripts/scripts.js';
+import { describeProduct, findAmount } from './product-data.js';
+
+const FILTER_PARAM = 'filter';
+const SORT_PARAM = 'sort';
+
+const FILTERS = [
+  {
+    id: 'promo',
+    label: 'With promotion',
+    matches: (product) => product.promo.length > 0,
+  },
+  {
+    id: 'no-annual-fee',
+    label: 'No annual fee',
+    matches: (product) => findAmount(product, /annual fee/i) === 0,
+  },
+];
+
+const SORTS = [
+  {
+    id: 'featured',
+    label: 'Featured',
+  },
+  {
+    id: 'annual-fee',
+    label: 'Annual fee (low to high)',
+    value: (product) => findAmount(product, /annual fee/i),
+  },
+  {
+    id: 'purchase-rate',
+    label: 'Purchase rate (low to high)',
+    value: (product) => findAmount(product, /purchase rate/i),
+  },
+  {
+    id: 'name',
+    label: 'Name (A-Z)',
+    value: (product) => product.name.toLowerCase(),
+  },
+];
+
+/**
+ * Reads the filter and sort state from the url.
+ * @returns {object} The active filter ids and the sort id
+ */
+function readState() {
+  const params = new URLSearchParams(window.location.search);
+  const filters = (params.get(FILTER_PARAM) || '').split(',')
+    .filter((id) => FILTERS.some((filter) => filter.id === id));
+  const sort = SORTS.find(({ id }) => id === params.get(SORT_PARAM));
+  return { filters, sort: sort ? sort.id : 'featured' };
+}
+
+/**
+ * Writes the filter and sort state to the url.
+ * @param {object} state The active filter ids and the sort id
+ */
+function writeState({ filters, sort }) {
+  const url = new URL(window.location.href);
+  if (filters.length) url.searchParams.set(FILTER_PARAM, filters.join(','));
+  else url.searchParams.delete(FILTER_PARAM);
+  if (sort !== 'featured') url.searchParams.set(SORT_PARAM, sort);
+  else url.searchParams.delete(SORT_PARAM);
+  window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Compares two sort values, placing missing values last.
+ * @param {number|string} a The first value
+ * @param {number|string} b The second value
+ * @returns {number} The comparison result
+ */
+function compareValues(a, b) {
+  const missingA = a === undefined || Number.isNaN(a);
+  const missingB = b === undefined || Number.isNaN(b);
+  if (missingA || missingB) return missingA - missingB;
+  if (typeof a === 'string') return a.localeCompare(b);
+  return a - b;
+}
+
+/**
+ * Adds filter chips and sort controls to a products block.
+ * @param {Element} ul The list of product cards
+ * @returns {function} Registers a hydrated card and its product data
+ */
+export default function decorateFilters(ul) {
+  const products = new Map();
+  const order = [];
+  const state = readState();
+
+  const status = createTag('p', { class: 'products-filters-status', role: 'status' });
+  const chips = FILTERS.map((filter) => {
+    const chip = createTag('button', {
+      type: 'button',
+      class: 'products-filter-chip',
+      'aria-pressed': state.filters.includes(filter.id) ? 'true' : 'false',
+    }, filter.label);
+    chip.addEventListener('click', () => {
+      const active = chip.getAttribute('aria-pressed') !== 'true';
+      chip.setAttribute('aria-pressed', active ? 'true' : 'false');
+      state.filters = active
+        ? [...state.filters, filter.id]
+        : state.filters.filter((id) => id !== filter.id);
+      writeState(state);
+      // eslint-disable-next-line no-use-before-define
+      apply(true);
+    });
+    return chip;
+  });
+  const options = SORTS.map(({ id, label }) => createTag('option', { value: id, selected: id === state.sort }, label));
+  const select = createTag('select', { name: SORT_PARAM }, options);
+  select.addEventListener('change', () => {
+    state.sort = select.value;
+    writeState(state);
+    // eslint-disable-next-line no-use-before-define
+    apply(true);
+  });
+  const controls = createTag('div', { class: 'products-filters' }, [
+    createTag('div', { class: 'products-filter-chips', role: 'group', 'aria-label': 'Filter products' }, chips),
+    createTag('label', { class: 'products-sort' }, ['Sort by ', select]),
+    status,
+  ]);
+
+  // the count is announced after each change of the visitor, and once all cards are loaded
+  const apply = (announce = false) => {
+    if (!controls.parentNode) ul.before(controls);
+
+    // the original order of the cards, cards added later are appended to the list
+    [...ul.children].filter((li) => !order.includes(li)).forEach((li) => order.push(li));
+
+    const active = FILTERS.filter(({ id }) => state.filters.includes(id));
+    const sort = SORTS.find(({ id }) => id === state.sort);
+    // cards removed from the list, e.g. by the editor, are skipped
+    const cards = order.filter((li) => li.parentNode === ul);
+    let shown = 0;
+    cards.forEach((li) => {
+      const product = products.get(li);
+      // cards still loading stay visible until their data is known
+      li.hidden = !!product && !active.every((filter) => filter.matches(product));
+      if (!li.hidden) shown += 1;
+    });
+
+    const sorted = sort.value
+      ? [...cards].sort((a, b) => {
+        const productA = products.get(a);
+        const productB = products.get(b);
+        return compareValues(productA && sort.value(productA), productB && sort.value(productB));
+      })
+      : cards;
+    ul.append(...sorted);
+
+    const loading = cards.some((li) => li.getAttribute('aria-busy') === 'true');
+    if (announce || !loading) status.textContent = `Showing ${shown} of ${cards.length} products`;
+  };
+
+  return (li, productData) => {
+    if (productData) products.set(li, describeProduct(productData));
+    else products.delete(li);
+    apply();
+  };
+}
@@ -0,0 +1,71 @@
+/*
+ * Product Structured Data
+ * Describes the rendered product cards to search engines as Product / FinancialProduct JSON-LD.
+ */
+
+import { getMetadata } from '../../scripts/aem.js';
+import { getAssetUrl } from '../../scripts/content-fragments.js';
+import { sanitizeUrl } from '../../scripts/scripts.js';
+import { describeProduct, findAmount } from './product-data.js';
+
+/**
+ * Builds the JSON-LD of a product.
+ * @param {string} path The path of the content fragment
+ * @param {object} productData The product data
+ * @returns {object} The JSON-LD
+ */
+function toProductSchema(path, productData) {
+  const product = describeProduct(productData);
+  const pageUrl = new URL(window.location.pathname, window.location.origin).href;
+  const schema = {
+    '@context': 'https://schema.org',
+    '@type': ['Product', 'FinancialProduct'],
+    // the full path, as fragments in different folders can share their name
+    '@id': `${pageUrl}#${encodeURI(path)}`,
+    name: product.name,
+  };
+  if (product.description) schema.description = product.description;
+
+  const image = getAssetUrl(productData.creditCardImage);
+  if (image) schema.image = new URL(image, window.location.href).href;
+
+  const fees = product.fees.map(({ label, value }) => `${label}: ${value}`);
+  if (fees.length) schema.feesAndCommissionsSpecification = fees.join('; ');
+
+  const interestRate = findAmount(product, /purchase rate|interest rate/i);
+  if (!Number.isNaN(interestRate)) schema.interestRate = interestRate;
+
+  const url = sanitizeUrl(productData.applyUrl);
+  if (url || product.promo.length) {
+    const offer = { '@type': 'Offer' };
+    if (url) offer.url = new URL(url, window.location.href).href;
+    if (product.promo.length) offer.description = product.promo.join(' ');
+    const annualFee = findAmount(product, /annual fee/i);
+    const currency = getMetadata('product-currency');
+    if (currency && !Number.isNaN(annualFee)) {
+      offer.price = annualFee;
+      offer.priceCurrency = currency;
+    }
+    schema.offers = offer;
+  }
+  return schema;
+}
+
+/**
+ * Adds the JSON-LD of a rendered product card to the head, once per content fragment.
+ * @param {Element} li The product card
+ * @param {object} productData The product data, null if the card has none
+ */
+export default function addProductSchema(li, productData) {
+  const path = li.dataset.fragmentPath;
+  if (!path || !productData?.creditCardName) return;
+  const existing = [...document.head.querySelectorAll('script[type="application/ld+json"][data-fragment-path]')]
+    .some((script) => script.dataset.fragmentPath === path);
+  if (existing) return;
+
+  const script = document.createElement('script');
+  script.type = 'application/ld+json';
+  script.dataset.fragmentPath = path;
+  script.textContent = JSON.stringify(toProductSchema(path, productData));
+  document.head.append(script);
+}
@@ -1,207 +1,489 @@
-import { createOptimizedPicture } from '../../scripts/aem.js';
-import { moveInstrumentation } from '../../scripts/scripts.js';
-
-/**
- * Simple GraphQL fetch for credit card content fragments
- */
-
-async function fetchContentFragment(path) {
-  console.log('Fetching content fragment:', path);
-  
-  const graphqlUrl = 'https://author-p9606-e71941.adobeaemcloud.com/content/cq:graphql/jan-cf-models/endpoint.json';
-  
-  const query = `
-    query {
-      productCreditCardModelList{
-        items{
-          _path
-          creditCardName
-          creditCardDescription{
-            plaintext
-          }
-          creditCardImage{
-          ... on ImageRef {
-                  _path
-                  _authorUrl
-                  _publishUrl
-                }
-        }
-          promo{
-            plaintext
-          }notes{
-            plaintext
-          }
-        }
-      }
-    }
-  `;
+import { sampleRUM } from '../../scripts/aem.js';
+import {
+  createTag,
+  getEnvironment,
+  moveInstrumentation,
+  sanitizeHTML,
+  sanitizeUrl,
+} from '../../scripts/scripts.js';
+import { createFragmentPicture } from '../../scripts/content-fragments.js';
+import {
+  LISTING_SORTS,
+  MASTER,
+  fetchContentFragments,
+  fetchListing,
+  isStructured,
+  toFragmentKey,
+  toKeyValues,
+  toLines,
+} from './product-data.js';
+import addProductSchema from './product-schema.js';
 
-  try {
-    const response = await fetch(graphqlUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      credentials: 'include',
-      body: JSON.stringify({ query })
-    });
+/**
+ * Rejects if the given promise does not settle in time.
+ * @param {Promise} promise The promise
+ * @param {number} ms The timeout in milliseconds
+ * @returns {Promise} The promise, racing the timeout
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('The product could not be loaded in time')), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-    console.log('GraphQL Response:', response.status, response.statusText);
-    
-    if (response.ok) {
-      const data = await response.json();
-      console.log('GraphQL Data:', data);
-      
-      if (data.data && data.data.productCreditCardModelList && data.data.productCreditCardModelList.items) {
-        const item = data.data.productCreditCardModelList.items.find(item => item._path === path);
-        if (item) {
-          console.log('Found matching item:', item);
-          return item;
-        } else {
-          console.log('No item found for path:', path);
-          console.log('Available items:', data.data.productCreditCardModelList.items.map(i => i._path));
-        }
-      }
+// number of listed products per page, unless configured
+const DEFAULT_LIMIT = 12;
+// the fields of the products model rendered as rows: folder, tags, sort and limit
+const CONFIG_ROWS = 4;
+
+// time after which a card shows an error with a retry button
+const FETCH_TIMEOUT = 10000;
+
+// card images are at most 224px wide, requested at twice that for high density screens
+const IMAGE_BREAKPOINTS = [{ media: '(min-width: 600px)', width: '450' }, { width: '360' }];
+
+// amounts, percentages and large numbers highlighted in promo lines
+const HIGHLIGHT_PATTERN = /(\$\d[\d,]*(?:\.\d+)?|\d+(?:\.\d+)?%|\d{1,3}(?:,\d{3})+|\d+)/;
+
+/**
+ * Splits a line of text into text and strong nodes for its numbers.
+ * @param {string} text The line of text
+ * @returns {Array<Node|string>} The nodes
+ */
+function highlightNumbers(text) {
+  return text
+    .split(HIGHLIGHT_PATTERN)
+    .map((part, i) => (i % 2 ? createTag('strong', {}, part) : part));
+}
+
+/**
+ * Creates the promo section from its plaintext.
+ * @param {string} plaintext The promo text
+ * @returns {Element} The promo section
+ */
+function createPromo(plaintext) {
+  const promo = createTag('div', { class: 'product-promo' });
+  toLines(plaintext).forEach((line) => {
+    if (line.endsWith(':') || line.toLowerCase().includes('special offer')) {
+      promo.append(createTag('h4', {}, line));
     } else {
-      console.error('GraphQL failed:', response.status, await response.text());
+      promo.append(createTag('p', {}, highlightNumbers(line)));
     }
-  } catch (error) {
-    console.error('Fetch error:', error);
-  }
-  
-  return null;
+  });
+  return promo;
 }
 
+/**
+ * Creates the notes section from its plaintext.
+ * @param {string} plaintext The notes text
+ * @returns {Element} The notes section
+ */
+function createNotes(plaintext) {
+  const notes = createTag('div', { class: 'product-notes' });
+  let list;
+  toLines(plaintext).forEach((line) => {
+    if (line.endsWith(':') || line.toLowerCase().includes('important')) {
+      list = createTag('ul');
+      notes.append(createTag('h4', {}, line), list);
+    } else if (list) {
+      if (line.includes(' - ')) {
+        const [label, value] = line.split(' - ', 2);
+        list.append(createTag('li', {}, [`${label.trim()} - `, createTag('span', { class: 'fee' }, value.trim())]));
+      } else {
+        list.append(createTag('li', {}, line));
+      }
+    }
+  });
+  return notes;
+}
+
+/**
+ * Creates a titled list of key-value facts, like rates or fees.
+ * @param {string} title The title of the facts
+ * @param {Array<{label: string, value: string}>} entries The facts
+ * @returns {Element} The facts section
+ */
+function createFacts(title, entries) {
+  const dl = createTag('dl', {}, entries.map(({ label, value }) => createTag('div', {}, [
+    createTag('dt', {}, label),
+    createTag('dd', { class: 'fee' }, value),
+  ])));
+  return createTag('div', { class: 'product-facts' }, [createTag('h4', {}, title), dl]);
+}
 
 /**
- * Create product card HTML - simplified
+ * Creates a rich text section. Structured fragments are rendered faithfully from the
+ * html of the field, legacy fragments fall back to the plaintext heuristic.
+ * @param {object} field The multi-line text field, with html and plaintext
+ * @param {boolean} structured Whether the fragment uses the structured shape
+ * @param {string} className The class of the section
+ * @param {function} fromPlaintext Creates the section from plaintext
+ * @returns {Promise<Element>} The section, or null if the field is empty
  */
-function createProductCardHTML(productData) {
-  if (!productData) {
-    return '<div class="product-card-body"><h3>Error</h3><p>No data available</p></div>';
+async function createRichText(field, structured, className, fromPlaintext) {
+  if (structured && field?.html) {
+    return createTag('div', { class: className }, await sanitizeHTML(field.html));
   }
+  return field?.plaintext ? fromPlaintext(field.plaintext) : null;
+}
+
+/**
+ * Creates the call to action, styled like the buttons of decorateButtons.
+ * @param {object} productData The product data
+ * @returns {Element} The call to action, or null without a safe link
+ */
+function createCta(productData) {
+  const href = sanitizeUrl(productData.applyUrl);
+  if (!href) return null;
+  const label = productData.ctaLabel || 'Find out more';
+  const style = ['primary', 'secondary'].includes(productData.ctaStyle) ? ` ${productData.ctaStyle}` : '';
+  const link = createTag('a', { href, title: label, class: `button product-cta-button${style}` }, label);
+  return createTag('div', { class: 'product-cta' }, createTag('p', { class: 'button-container' }, link));
+}
 
-  let html = '';
+/**
+ * Creates the body of a card showing a message instead of product data.
+ * @param {string} title The title of the message
+ * @param {string} message The message
+ * @returns {Element} The card body
+ */
+function createMessage(title, message) {
+  return createTag('div', { class: 'product-card-body' }, [
+    createTag('h3', {}, title),
+    createTag('p', {}, message),
+  ]);
+}
+
+/**
+ * Creates the content of a product card. Fragment values are only ever set as text,
+ * rich text fields are sanitized with DOMPurify.
+ * @param {object} productData The product data
+ * @param {boolean} [eager] Load the image eagerly
+ * @returns {Promise<Element[]>} The image and body of the card
+ */
+async function createProductCard(productData, eager = false) {
+  const content = [];
 
   // Image section
-  if (productData.creditCardImage?._authorUrl || productData.creditCardImage?._path) {
-    html += '<div class="product-card-image">';
-    
-    let imageUrl;
-    if (productData.creditCardImage._authorUrl) {
-      imageUrl = productData.creditCardImage._authorUrl;
-    } else if (productData.creditCardImage._publishUrl) {
-      imageUrl = productData.creditCardImage._publishUrl;
-    } else {
-      imageUrl = `https://author-p9606-e71941.adobeaemcloud.com${productData.creditCardImage._path}`;
-    }
-    
-    html += `<picture><img src="${imageUrl}" alt="${productData.creditCardName || 'Credit Card'}" loading="lazy"></picture>`;
-    html += '</div>';
-  }
+  const picture = createFragmentPicture(
+    productData.creditCardImage,
+    productData.creditCardName || 'Credit Card',
+    eager,
+    IMAGE_BREAKPOINTS,
+  );
+  if (picture) content.push(createTag('div', { class: 'product-card-image' }, picture));
 
   // Body section
-  html += '<div class="product-card-body">';
+  const body = createTag('div', { class: 'product-card-body' });
+  content.push(body);
+
+  // Missing variation, only shown to authors
+  if (productData.variationMissing && getEnvironment() === 'author') {
+    body.append(createTag('p', { class: 'product-warning', role: 'note' }, `Variation "${productData.variationMissing}" does not exist, showing master.`));
+  }
 
   // Title
   if (productData.creditCardName) {
-    html += `<h3 class="product-title">${productData.creditCardName}</h3>`;
+    body.append(createTag('h3', { class: 'product-title' }, productData.creditCardName));
   }
 
   // Description
-  if (productData.creditCardDescription?.plaintext) {
-    html += `<p class="product-description">${productData.creditCardDescription.plaintext}</p>`;
+  const description = productData.creditCardDescription;
+  if (description?.html) {
+    body.append(createTag('div', { class: 'product-description' }, await sanitizeHTML(description.html)));
+  } else if (description?.plaintext) {
+    body.append(createTag('p', { class: 'product-description' }, description.plaintext));
   }
 
+  // Structured fragments provide features, rates or fees
+  const features = [productData.features].flat().filter((feature) => feature);
+  const rates = toKeyValues(productData.rates);
+  const fees = toKeyValues(productData.fees);
+  const structured = isStructured(productData);
+
   // Promo
-  if (productData.promo?.plaintext) {
-    html += '<div class="product-promo">';
-    const promoLines = productData.promo.plaintext.split('\n').filter(line => line.trim());
-    
-    promoLines.forEach(line => {
-      const trimmedLine = line.trim();
-      if (trimmedLine.endsWith(':') || trimmedLine.toLowerCase().includes('special offer')) {
-        html += `<h4>${trimmedLine}</h4>`;
-      } else if (trimmedLine) {
-        const formattedText = trimmedLine
-          .replace(/(\d{1,3}(?:,\d{3})*)/g, '<strong>$1</strong>')
-          .replace(/(\$\d+)/g, '<strong>$1</strong>')
-          .replace(/(\d+(?:\.\d+)?%)/g, '<strong>$1</strong>');
-        html += `<p>${formattedText}</p>`;
-      }
-    });
-    
-    html += '</div>';
+  const promo = await createRichText(productData.promo, structured, 'product-promo', createPromo);
+  if (promo) body.append(promo);
+
+  // Features
+  if (features.length) {
+    body.append(createTag('ul', { class: 'product-features' }, features.map((feature) => createTag('li', {}, feature))));
   }
 
+  // Rates and fees
+  if (rates.length) body.append(createFacts('Rates', rates));
+  if (fees.length) body.append(createFacts('Fees', fees));
+
   // Notes
-  if (productData.notes?.plaintext) {
-    html += '<div class="product-notes">';
-    const notesLines = productData.notes.plaintext.split('\n').filter(line => line.trim());
-    
-    let inList = false;
-    notesLines.forEach(line => {
-      const trimmedLine = line.trim();
-      if (trimmedLine.endsWith(':') || trimmedLine.toLowerCase().includes('important')) {
-        if (inList) { html += '</ul>'; inList = false; }
-        html += `<h4>${trimmedLine}</h4><ul>`;
-        inList = true;
-      } else if (trimmedLine && inList) {
-        if (trimmedLine.includes(' - ')) {
-          const [label, value] = trimmedLine.split(' - ', 2);
-          html += `<li>${label.trim()} - <span class="fee">${value.trim()}</span></li>`;
-        } else {
-          html += `<li>${trimmedLine}</li>`;
-        }
-      }
+  const notes = await createRichText(productData.notes, structured, 'product-notes', createNotes);
+  if (notes) body.append(notes);
+
+  // CTA
+  const cta = createCta(productData);
+  if (cta) body.append(cta);
+
+  return content;
+}
+
+/**
+ * Reads the content fragment path, variation and author overrides of a product item row.
+ * @param {Element} row The product item row
+ * @returns {object} The path, empty if the row has none, the variation and the overrides
+ */
+function readProductItem(row) {
+  // fields added to the model go last, so items rendered with an older model read the same
+  const [
+    pickerCell,
+    productNameCell,
+    ctaLabelCell,
+    ctaLinkCell,
+    ctaStyleCell,
+    contentFragmentVariationCell,
+  ] = row.children;
+  const link = pickerCell?.querySelector('a');
+  const path = (link ? link.getAttribute('href') : pickerCell?.textContent.trim()) || '';
+  const ctaLink = ctaLinkCell?.querySelector('a');
+  return {
+    row,
+    path: path.startsWith('/content') ? path : '',
+    variation: contentFragmentVariationCell?.textContent.trim() || MASTER,
+    overrides: {
+      creditCardName: productNameCell?.textContent.trim(),
+      ctaLabel: ctaLabelCell?.textContent.trim(),
+      applyUrl: ctaLink ? ctaLink.getAttribute('href') : ctaLinkCell?.textContent.trim(),
+      ctaStyle: ctaStyleCell?.textContent.trim(),
+    },
+  };
+}
+
+/**
+ * Merges the non-empty author overrides over the fragment data.
+ * @param {object} productData The fragment data
+ * @param {object} overrides The overrides of the product item
+ * @returns {object} The merged product data
+ */
+function applyOverrides(productData, overrides) {
+  const merged = { ...productData };
+  Object.entries(overrides)
+    .filter(([, value]) => value)
+    .forEach(([key, value]) => { merged[key] = value; });
+  return merged;
+}
+
+/**
+ * Renders an accessible loading placeholder in a product card.
+ * @param {Element} li The product card
+ */
+function renderSkeleton(li) {
+  li.classList.add('product-card-skeleton');
+  li.setAttribute('aria-busy', 'true');
+  li.replaceChildren(
+    createTag('div', { class: 'product-card-image', 'aria-hidden': 'true' }),
+    createTag('div', { class: 'product-card-body', 'aria-hidden': 'true' }, [
+      createTag('span', { class: 'product-skeleton-line product-skeleton-title' }),
+      createTag('span', { class: 'product-skeleton-line' }),
+      createTag('span', { class: 'product-skeleton-line' }),
+      createTag('span', { class: 'product-skeleton-line product-skeleton-short' }),
+    ]),
+    createTag('span', { class: 'product-loading' }, 'Loading product'),
+  );
+}
+
+/**
+ * Loads the data of a product card and hydrates the card as soon as it arrives.
+ * Cards failing to load or to render show the error with a button to load them again.
+ * @param {Element} li The product card
+ * @param {object} item The product item
+ * @param {Promise<object>} pending The pending fragment data
+ * @param {object} options The card options
+ * @param {boolean} [options.eager] Load the image eagerly
+ * @param {function} [options.onLoad] Called with the card and its product data once rendered
+ */
+async function hydrateCard(li, item, pending, options) {
+  const { eager, onLoad } = options;
+  const { path, variation, overrides } = item;
+  renderSkeleton(li);
+
+  let notified = false;
+  try {
+    const productData = await withTimeout(pending || Promise.resolve(null), FETCH_TIMEOUT);
+    const content = [];
+    let rendered = null;
+    if (productData) {
+      rendered = applyOverrides(productData, overrides);
+      content.push(...await createProductCard(rendered, eager));
+    } else if (overrides.creditCardName) {
+      // the product name labels the card when there is no fragment data
+      content.push(...await createProductCard(applyOverrides({}, overrides), eager));
+    } else {
+      content.push(createMessage('No Data', `Content fragment not found: ${path}`));
+    }
+
+    li.classList.remove('product-card-skeleton');
+    li.removeAttribute('aria-busy');
+    li.replaceChildren(...content);
+
+    const cta = li.querySelector('.product-cta a');
+    if (cta) {
+      cta.addEventListener('click', () => {
+        sampleRUM('click', { source: '.products .product-cta-button', target: cta.href });
+      });
+    }
+
+    notified = true;
+    if (onLoad) onLoad(li, rendered);
+  } catch (error) {
+    const retry = createTag('button', { type: 'button', class: 'product-retry' }, 'Try again');
+    retry.addEventListener('click', () => {
+      li.classList.remove('product-error');
+      const retried = fetchContentFragments([item]).get(toFragmentKey(path, variation));
+      hydrateCard(li, item, retried, options);
     });
-    
-    if (inList) html += '</ul>';
-    html += '</div>';
+    const message = createMessage('Error', error.message);
+    message.append(retry);
+    li.classList.remove('product-card-skeleton');
+    li.removeAttribute('aria-busy');
+    li.classList.add('product-error');
+    li.replaceChildren(message);
+    if (onLoad && !notified) onLoad(li, null);
   }
+}
 
-  // CTA
-  html += '<div class="product-cta"><a href="#" class="product-cta-button">Find out more</a></div>';
-  html += '</div>';
+/**
+ * Counts the leading rows of the block holding the fields of the products model. They are
+ * only present as a whole, and told apart from single cell product items, which hold a
+ * fragment path, by their sort and limit values and by missing item instrumentation.
+ * @param {Element[]} rows The rows of the block
+ * @returns {number} The number of configuration rows, 0 or CONFIG_ROWS
+ */
+function countConfigRows(rows) {
+  const candidates = rows.slice(0, CONFIG_ROWS);
+  if (candidates.length < CONFIG_ROWS) return 0;
+  if (candidates.some((row) => row.children.length !== 1 || row.hasAttribute('data-aue-resource'))) {
+    return 0;
+  }
+  const [sort, limit] = candidates.slice(2).map((row) => row.textContent.trim());
+  const validSort = !sort || LISTING_SORTS.includes(sort);
+  const validLimit = !limit || /^\d+$/.test(limit);
+  return validSort && validLimit ? CONFIG_ROWS : 0;
+}
+
+/**
+ * Reads the listing configuration from the leading single cell rows of the block,
+ * in the order of the products model: folder, tags, sort and limit.
+ * @param {Element[]} rows The configuration rows
+ * @returns {object} The listing, or null if neither a folder nor tags are configured
+ */
+function readListing(rows) {
+  const [folderCell, tagsCell, sortCell, limitCell] = rows.map((row) => row.firstElementChild);
+  const folderLink = folderCell?.querySelector('a');
+  const folder = (folderLink ? folderLink.getAttribute('href') : folderCell?.textContent.trim()) || '';
+  const tags = (tagsCell?.textContent || '').split(',').map((tag) => tag.trim()).filter((tag) => tag);
+  if (!folder.startsWith('/content') && !tags.length) return null;
+
+  const limit = parseInt(limitCell?.textContent, 10);
+  return {
+    folder: folder.startsWith('/content') ? folder : '',
+    tags,
+    sort: sortCell?.textContent.trim(),
+    limit: limit > 0 ? limit : DEFAULT_LIMIT,
+  };
+}
+
+/**
+ * Appends the fragments matching the listing configuration, a page at a time,
+ * with a button to load the next page.
+ * @param {Element} ul The list of product cards
+ * @param {object} listing The listing configuration
+ * @param {object} options The card options
+ */
+async function loadListing(ul, listing, options) {
+  const more = createTag('button', { type: 'button', class: 'button secondary products-load-more' }, 'Load more');
+  let next;
+  const loadPage = async (cursor) => {
+    more.disabled = true;
+    const listed = ul.querySelectorAll('.product-card[data-fragment-path]');
+    const shown = new Set([...listed].map((li) => li.dataset.fragmentPath));
+    let page;
+    try {
+      page = await fetchListing(listing, cursor);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Loading products failed', error);
+      page = { items: [], hasMore: !!cursor, cursor };
+    }
+    page.items
+      // eslint-disable-next-line no-underscore-dangle
+      .filter((data) => !shown.has(data._path))
+      .forEach((data) => {
+        // eslint-disable-next-line no-underscore-dangle
+        const item = { path: data._path, variation: MASTER, overrides: {} };
+        const li = createTag('li', { class: 'product-card', 'data-fragment-path': item.path });
+        ul.append(li);
+        hydrateCard(li, item, Promise.resolve(data), options);
+      });
 
-  return html;
+    more.disabled = false;
+    next = page.cursor;
+    if (page.hasMore) {
+      if (!more.isConnected) ul.after(more);
+    } else {
+      more.remove();
+    }
+  };
+  more.addEventListener('click', () => loadPage(next));
+  await loadPage();
 }
 
 /**
  * decorate function - simplified like cards block
+ * Cards are rendered as placeholders right away and hydrated in the background,
+ * so the block does not hold back the loading of the page.
  */
 export default async function decorate(block) {
   const ul = document.createElement('ul');
-  
-  // Process each row like cards block does
-  for (const row of [...block.children]) {
-    // Find content fragment path from the row
-    const link = row.querySelector('a');
-    const contentFragmentPath = link ? link.getAttribute('href') : row.textContent.trim();
-    
-    if (contentFragmentPath && contentFragmentPath.startsWith('/content')) {
-      // Create li like cards block
-      const li = document.createElement('li');
-      li.className = 'product-card';
-      moveInstrumentation(row, li);
-      
-      try {
-        // Fetch content fragment data
-        const productData = await fetchContentFragment(contentFragmentPath);
-        if (productData) {
-          li.innerHTML = createProductCardHTML(productData);
-        } else {
-          li.innerHTML = `<div class="product-card-body"><h3>No Data</h3><p>Content fragment not found: ${contentFragmentPath}</p></div>`;
-        }
-      } catch (error) {
-        li.innerHTML = `<div class="product-card-body"><h3>Error</h3><p>${error.message}</p></div>`;
-      }
-      
-      ul.append(li);
-    }
+  const rows = [...block.children];
+  // the fields of the block come first, as single cell rows, followed by the product items
+  const configRows = rows.splice(0, countConfigRows(rows));
+  const listing = readListing(configRows);
+
+  const items = rows
+    .map(readProductItem)
+    .filter(({ path, overrides }) => path || overrides.creditCardName);
+
+  // images of the first section are part of the LCP
+  const eager = block.closest('.section') === document.querySelector('main .section');
+
+  const fragments = fetchContentFragments(items.filter(({ path }) => path));
+
+  // cards are described as structured data, and enhanced by the compare and filters
+  // variants, once their data is rendered
+  const loaders = [addProductSchema];
+  if (block.classList.contains('compare')) {
+    const { default: decorateCompare } = await import('./product-compare.js');
+    loaders.push(decorateCompare(block));
+  }
+  if (block.classList.contains('filters')) {
+    const { default: decorateFilters } = await import('./product-filters.js');
+    loaders.push(decorateFilters(ul));
   }
-  
+  const onLoad = (li, productData) => loaders.forEach((loader) => loader(li, productData));
+
+  // Create li like cards block does
+  items.forEach((item) => {
+    const li = createTag('li', { class: 'product-card', 'data-fragment-path': item.path || null });
+    moveInstrumentation(item.row, li);
+    ul.append(li);
+    const pending = fragments.get(toFragmentKey(item.path, item.variation));
+    hydrateCard(li, item, pending, { eager, onLoad });
+  });
+
   // Clear block and append ul like cards block
   block.textContent = '';
   block.append(ul);
-}
\ No newline at end of file
+
+  // the listed products follow the picked ones, without holding back the page
+  if (listing) loadListing(ul, listing, { eager, onLoad });
+}
@@ -1,8 +1,66 @@
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { moveInstrumentation } from '../../scripts/scripts.js';
+
+/**
+ * Creates an element and moves the instrumentation of the given cell onto it.
+ * @param {string} tag The tag name of the element
+ * @param {string} className The class of the element
+ * @param {Element} cell The cell the element replaces
+ * @returns {Element} The element
+ */
+function fromCell(tag, className, cell) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (cell) moveInstrumentation(cell, el);
+  return el;
+}
+
 export default function decorate(block) {
+  // cells in the order of the quote model: quote, author, role, source and image,
+  // the imageAlt is collapsed into the alt of the image
+  const [quoteCell, authorCell, roleCell, sourceCell, imageCell] = [...block.children]
+    .map((row) => row.firstElementChild || row);
+
+  const figure = document.createElement('figure');
+
+  // keep the rich text of the quote
+  const blockquote = fromCell('blockquote', '', quoteCell);
+  if (quoteCell) blockquote.append(...quoteCell.childNodes);
+  figure.append(blockquote);
+
+  const img = imageCell?.querySelector('picture > img');
+  if (img) {
+    const picture = createOptimizedPicture(img.src, img.alt, false, [{ width: '400' }]);
+    moveInstrumentation(img, picture.querySelector('img'));
+    const image = fromCell('div', 'quote-image', imageCell);
+    image.append(picture);
+    figure.prepend(image);
+  }
 
-  const [quoteWrapper] = block.children;
-  const blockquote = document.createElement("blockquote");
+  const author = authorCell?.textContent.trim();
+  const role = roleCell?.textContent.trim();
+  const sourceLink = sourceCell?.querySelector('a');
+  if (author || role || sourceLink) {
+    const figcaption = document.createElement('figcaption');
+    if (author) {
+      const cite = fromCell('cite', 'quote-author', authorCell);
+      cite.textContent = author;
+      figcaption.append(cite);
+    }
+    if (role) {
+      const roleEl = fromCell('span', 'quote-role', roleCell);
+      roleEl.textContent = role;
+      figcaption.append(roleEl);
+    }
+    if (sourceLink) {
+      const source = fromCell('span', 'quote-source', sourceCell);
+      sourceLink.className = '';
+      if (sourceLink.textContent.trim() === sourceLink.href) sourceLink.textContent = 'Source';
+      source.append(sourceLink);
+      figcaption.append(source);
+    }
+    figure.append(figcaption);
+  }
 
-  blockquote.textContent = quoteWrapper.textContent.trim();
-  quoteWrapper.replaceChildren(blockquote);
-}
\ No newline at end of file
+  block.replaceChildren(figure);
+}
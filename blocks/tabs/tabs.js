@@ -0,0 +1,116 @@
+import { createTag, getUniqueId, moveInstrumentation } from '../../scripts/scripts.js';
+import { loadFragment } from '../fragment/fragment.js';
+
+/**
+ * Appends the content of a fragment, including its blocks, to a tab panel.
+ * @param {Element} panel The tab panel
+ * @param {Element} cell The cell holding the reference of the fragment
+ */
+async function loadPanelFragment(panel, cell) {
+  const link = cell.querySelector('a');
+  const path = link ? link.getAttribute('href') : cell.textContent.trim();
+  if (!path) return;
+  const fragment = await loadFragment(path, panel);
+  if (!fragment) return;
+  const container = createTag('div', { class: 'tabs-panel-fragment' });
+  moveInstrumentation(cell, container);
+  fragment.querySelectorAll(':scope > .section').forEach((section) => {
+    container.append(...section.childNodes);
+  });
+  panel.append(container);
+}
+
+export default async function decorate(block) {
+  const tablist = createTag('div', { class: 'tabs-list', role: 'tablist' });
+  const tabs = [];
+  const panels = [];
+  const fragments = [];
+  const rows = [...block.children];
+  block.prepend(tablist);
+
+  rows.forEach((row) => {
+    const [titleCell, textCell, referenceCell] = row.children;
+    const id = getUniqueId(`tab ${titleCell?.textContent.trim() || 'panel'}`, 'tab-panel', block);
+    const tab = createTag('button', {
+      type: 'button',
+      class: 'tabs-tab',
+      id,
+      role: 'tab',
+      'aria-controls': `${id}-panel`,
+    });
+    if (titleCell) {
+      moveInstrumentation(titleCell, tab);
+      tab.textContent = titleCell.textContent.trim();
+    }
+
+    const panel = createTag('div', {
+      class: 'tabs-panel',
+      id: `${id}-panel`,
+      role: 'tabpanel',
+      'aria-labelledby': id,
+      tabindex: '0',
+    });
+    moveInstrumentation(row, panel);
+    if (textCell) {
+      textCell.className = 'tabs-panel-text';
+      panel.append(textCell);
+    }
+    row.replaceWith(panel);
+    // once the panel is in place, so the fragments the tabs are nested in are known
+    if (referenceCell?.textContent.trim()) fragments.push(loadPanelFragment(panel, referenceCell));
+    tablist.append(tab);
+    tabs.push(tab);
+    panels.push(panel);
+  });
+  if (!tabs.length) {
+    tablist.remove();
+    return;
+  }
+
+  const select = (index) => {
+    tabs.forEach((tab, i) => {
+      const selected = i === index;
+      tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+      tab.setAttribute('tabindex', selected ? '0' : '-1');
+      panels[i].hidden = !selected;
+    });
+  };
+
+  // the selected tab is reflected in the url hash, so it can be linked to
+  const selectFromHash = () => {
+    const id = decodeURIComponent(window.location.hash.substring(1));
+    const index = tabs.findIndex((tab) => tab.id === id || tab.id === id.replace(/-panel$/, ''));
+    if (index >= 0) select(index);
+    return index >= 0;
+  };
+
+  tabs.forEach((tab, i) => {
+    tab.addEventListener('click', () => {
+      select(i);
+      window.history.replaceState(window.history.state, '', `#${tab.id}`);
+    });
+    tab.addEventListener('keydown', (e) => {
+      const target = {
+        ArrowLeft: (i - 1 + tabs.length) % tabs.length,
+        ArrowRight: (i + 1) % tabs.length,
+        Home: 0,
+        End: tabs.length - 1,
+      }[e.key];
+      if (target === undefined) return;
+      e.preventDefault();
+      tabs[target].click();
+      tabs[target].focus();
+    });
+  });
+
+  if (!selectFromHash()) select(0);
+  // stops listening once the block is replaced, e.g. when the editor decorates it again
+  const onHashChange = () => {
+    if (block.isConnected) selectFromHash();
+    else window.removeEventListener('hashchange', onHashChange);
+  };
+  window.addEventListener('hashchange', onHashChange);
+
+  // the block is loaded once the fragments of its panels are
+  await Promise.all(fragments);
+}
@@ -0,0 +1,124 @@
+/*
+ * Content Fragment Cache
+ * Keeps fragment data in memory and in the session storage, keyed by path and variation.
+ * On author only the memory cache applies, so a reload always shows the latest content.
+ */
+
+import { getMetadata } from './aem.js';
+import { getEnvironment } from './scripts.js';
+
+const STORAGE_PREFIX = 'cf-cache:';
+const DEFAULT_TTL = 5 * 60;
+
+const memory = new Map();
+
+/**
+ * Returns the time to live of cache entries in milliseconds,
+ * configurable in seconds with the cf-cache-ttl metadata.
+ * @returns {number} The time to live
+ */
+function getTTL() {
+  const ttl = parseInt(getMetadata('cf-cache-ttl'), 10);
+  return (Number.isNaN(ttl) ? DEFAULT_TTL : ttl) * 1000;
+}
+
+/**
+ * Builds the cache key of a fragment.
+ * @param {string} path The path of the content fragment
+ * @param {string} [variation] The variation of the content fragment
+ * @returns {string} The cache key
+ */
+function toKey(path, variation = 'master') {
+  return `${path}@${variation || 'master'}`;
+}
+
+/**
+ * Whether fragment data is kept in the session storage, i.e. beyond the current page.
+ * @returns {boolean} False on author
+ */
+function usesStorage() {
+  return getEnvironment() !== 'author';
+}
+
+function readStorage(key) {
+  if (!usesStorage()) return undefined;
+  try {
+    const value = sessionStorage.getItem(`${STORAGE_PREFIX}${key}`);
+    return value ? JSON.parse(value) : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function writeStorage(key, entry) {
+  if (!usesStorage()) return;
+  try {
+    sessionStorage.setItem(`${STORAGE_PREFIX}${key}`, JSON.stringify(entry));
+  } catch (e) {
+    // storage full or disabled, the memory cache still applies
+  }
+}
+
+function removeStorage(key) {
+  try {
+    sessionStorage.removeItem(`${STORAGE_PREFIX}${key}`);
+  } catch (e) {
+    // do nothing
+  }
+}
+
+/**
+ * Returns the cached data of a content fragment.
+ * @param {string} path The path of the content fragment
+ * @param {string} [variation] The variation of the content fragment
+ * @returns {object} The fragment data, or undefined if not cached or expired
+ */
+export function getCachedFragment(path, variation) {
+  const key = toKey(path, variation);
+  let entry = memory.get(key);
+  if (!entry) {
+    entry = readStorage(key);
+    if (entry) memory.set(key, entry);
+  }
+  if (!entry) return undefined;
+  if (entry.expires < Date.now()) {
+    memory.delete(key);
+    removeStorage(key);
+    return undefined;
+  }
+  return entry.data;
+}
+
+/**
+ * Caches the data of a content fragment.
+ * @param {string} path The path of the content fragment
+ * @param {string} variation The variation of the content fragment
+ * @param {object} data The fragment data
+ */
+export function setCachedFragment(path, variation, data) {
+  const ttl = getTTL();
+  if (ttl <= 0) return;
+  const key = toKey(path, variation);
+  const entry = { data, expires: Date.now() + ttl };
+  memory.set(key, entry);
+  writeStorage(key, entry);
+}
+
+/**
+ * Removes content fragments from the cache, in all their variations.
+ * @param {string[]} [paths] The paths to invalidate, clears the whole cache if omitted
+ */
+export function invalidateFragments(paths) {
+  const matches = (key) => !paths || paths.some((path) => key.startsWith(`${path}@`));
+
+  [...memory.keys()].filter(matches).forEach((key) => memory.delete(key));
+  try {
+    Object.keys(sessionStorage)
+      .filter((key) => key.startsWith(STORAGE_PREFIX))
+      .map((key) => key.substring(STORAGE_PREFIX.length))
+      .filter(matches)
+      .forEach(removeStorage);
+  } catch (e) {
+    // do nothing
+  }
+}
@@ -0,0 +1,194 @@
+/*
+ * Content Fragment Client
+ * Shared GraphQL access to AEM content fragments for any block.
+ */
+
+import { createOptimizedPicture, getMetadata } from './aem.js';
+import { SITE_CONFIG, getEnvironment } from './scripts.js';
+
+/**
+ * Resolves the GraphQL settings for the current page.
+ * @returns {object} The environment, origin, endpoints and fetch options
+ */
+export function getGraphQLConfig() {
+  const environment = getEnvironment();
+  const settings = SITE_CONFIG.environments[environment];
+  const origin = getMetadata('cf-origin') || settings.origin || '';
+  const graphqlConfig = getMetadata('cf-graphql-config') || SITE_CONFIG.graphqlConfig;
+  const mockPath = getMetadata('cf-mock-path');
+
+  return {
+    environment,
+    origin,
+    credentials: settings.credentials || 'omit',
+    mock: environment === 'local' && !!mockPath && !getMetadata('cf-origin'),
+    endpoint: `${origin}/content/cq:graphql/${graphqlConfig}/endpoint.json`,
+    persistedEndpoint: `${origin}/graphql/execute.json/${graphqlConfig}`,
+    mockEndpoint: `${window.hlx.codeBasePath}${mockPath}`,
+  };
+}
+
+/**
+ * Serializes variables into the matrix parameters of a persisted query url.
+ * @param {object} variables The query variables
+ * @returns {string} The encoded parameters
+ */
+function toPersistedParams(variables = {}) {
+  return Object.entries(variables)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const encoded = typeof value === 'object' ? JSON.stringify(value) : value;
+      return `;${encodeURIComponent(name)}=${encodeURIComponent(encoded)}`;
+    })
+    .join('');
+}
+
+// requests currently on the wire, keyed by method, url and body
+const inflight = new Map();
+
+/**
+ * Fetches a GraphQL response and unwraps its data.
+ * @param {string} url The url to request
+ * @param {object} options The fetch options
+ * @returns {Promise<object>} The data of the response
+ */
+async function requestGraphQL(url, options) {
+  const resp = await fetch(url, options);
+  if (!resp.ok) {
+    throw new Error(`GraphQL request failed: ${resp.status} ${resp.statusText}`);
+  }
+  const json = await resp.json();
+  if (json.errors && json.errors.length && !json.data) {
+    throw new Error(`GraphQL errors: ${json.errors.map((e) => e.message).join(', ')}`);
+  }
+  return json.data;
+}
+
+/**
+ * Fetches a GraphQL response, sharing the pending promise between identical requests.
+ * @param {string} url The url to request
+ * @param {object} [options] The fetch options
+ * @returns {Promise<object>} The data of the response
+ */
+function fetchGraphQL(url, options = {}) {
+  const key = `${options.method || 'GET'} ${url} ${options.body || ''}`;
+  if (!inflight.has(key)) {
+    inflight.set(key, requestGraphQL(url, options).finally(() => inflight.delete(key)));
+  }
+  return inflight.get(key);
+}
+
+/**
+ * Runs a content fragment query against the configured endpoint.
+ * Persisted queries are requested over GET so they can be cached by the CDN,
+ * on author the ad-hoc query is POSTed instead to always see the latest content.
+ * On local environments with a cf-mock-path, the persisted query is served from a mock
+ * json file, regardless of the variables.
+ * @param {object} request The query request
+ * @param {string} [request.persistedQuery] The name of the persisted query
+ * @param {string} [request.query] The GraphQL query, used when not persisted
+ * @param {object} [request.variables] The query variables
+ * @returns {Promise<object>} The data of the response
+ */
+export async function queryContentFragments({ persistedQuery, query, variables } = {}) {
+  const config = getGraphQLConfig();
+
+  if (config.mock) {
+    if (!persistedQuery) throw new Error('Mock GraphQL responses require a persisted query');
+    return fetchGraphQL(`${config.mockEndpoint}/${persistedQuery}.json`);
+  }
+
+  if (persistedQuery && (config.environment !== 'author' || !query)) {
+    const url = `${config.persistedEndpoint}/${persistedQuery}${toPersistedParams(variables)}`;
+    return fetchGraphQL(url, { credentials: config.credentials });
+  }
+
+  if (!query) throw new Error('No query or persisted query given');
+  return fetchGraphQL(config.endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: config.credentials,
+    body: JSON.stringify({ query, variables }),
+  });
+}
+
+/**
+ * Returns the url of an asset reference for the current environment.
+ * @param {object} ref The image or document reference from a fragment
+ * @returns {string} The asset url
+ */
+export function getAssetUrl(ref) {
+  if (!ref) return '';
+  /* eslint-disable no-underscore-dangle */
+  const { environment, origin } = getGraphQLConfig();
+  if (environment === 'author' && ref._authorUrl) return ref._authorUrl;
+  if (ref._publishUrl) return ref._publishUrl;
+  if (ref._path) return `${origin}${ref._path}`;
+  /* eslint-enable no-underscore-dangle */
+  return '';
+}
+
+/**
+ * Returns a responsive picture for an image reference of a fragment.
+ * Dynamic Media urls (_dynamicUrl) are requested in the width of each breakpoint,
+ * images hosted on the site go through createOptimizedPicture and any other
+ * image is rendered as is. Width and height of the reference are set on the img.
+ * @param {object} ref The image reference, with _dynamicUrl, width and height if available
+ * @param {string} [alt] The image alternative text
+ * @param {boolean} [eager] Set loading attribute to eager
+ * @param {Array} [breakpoints] Breakpoints and corresponding params (eg. width)
+ * @returns {Element} The picture element, or null without an image url
+ */
+export function createFragmentPicture(
+  ref,
+  alt = '',
+  eager = false,
+  breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+) {
+  const src = getAssetUrl(ref);
+  if (!src) return null;
+
+  let picture;
+  // eslint-disable-next-line no-underscore-dangle
+  const dynamicUrl = ref._dynamicUrl;
+  if (dynamicUrl) {
+    const toSrc = (width) => {
+      const url = new URL(dynamicUrl, getGraphQLConfig().origin || window.location.href);
+      url.searchParams.set('width', width);
+      url.searchParams.set('preferwebp', 'true');
+      return url.href;
+    };
+    picture = document.createElement('picture');
+    breakpoints.forEach((br, i) => {
+      if (i < breakpoints.length - 1) {
+        const source = document.createElement('source');
+        if (br.media) source.setAttribute('media', br.media);
+        source.setAttribute('srcset', toSrc(br.width));
+        picture.append(source);
+      } else {
+        const img = document.createElement('img');
+        img.setAttribute('loading', eager ? 'eager' : 'lazy');
+        img.setAttribute('alt', alt);
+        img.setAttribute('src', toSrc(br.width));
+        picture.append(img);
+      }
+    });
+  } else if (new URL(src, window.location.href).origin === window.location.origin) {
+    picture = createOptimizedPicture(src, alt, eager, breakpoints);
+  } else {
+    picture = document.createElement('picture');
+    const img = document.createElement('img');
+    img.setAttribute('loading', eager ? 'eager' : 'lazy');
+    img.setAttribute('alt', alt);
+    img.setAttribute('src', src);
+    picture.append(img);
+  }
+
+  // reserve the space of the image to avoid layout shifts
+  const img = picture.querySelector('img');
+  if (ref.width && ref.height) {
+    img.setAttribute('width', ref.width);
+    img.setAttribute('height', ref.height);
+  }
+  return picture;
+}
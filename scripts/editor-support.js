@@ -9,8 +9,22 @@ import {
   loadSections,
 } from './aem.js';
 import { decorateRichtext } from './editor-support-rte.js';
+import { invalidateFragments } from './content-fragment-cache.js';
 import { decorateMain } from './scripts.js';
 
+/**
+ * Shows the tab panel the given element is part of, so that the element stays visible
+ * after its tabs block has been decorated again or when it is selected in the editor.
+ * @param {Element} element The instrumented element
+ */
+function showTabOf(element) {
+  const panel = element?.closest('[role="tabpanel"]');
+  const tab = panel
+    ? document.getElementById(panel.getAttribute('aria-labelledby'))
+    : element?.closest('[role="tab"]');
+  if (tab && tab.getAttribute('aria-selected') !== 'true') tab.click();
+}
+
 async function applyChanges(event) {
   // redecorate default content and blocks on patches (in the properties rail)
   const { detail } = event;
@@ -51,6 +65,10 @@ async function applyChanges(event) {
       const blockResource = block.getAttribute('data-aue-resource');
       const newBlock = parsedUpdate.querySelector(`[data-aue-resource="${blockResource}"]`);
       if (newBlock) {
+        // drop cached content fragments so the block renders their latest version
+        const fragmentPaths = [...block.querySelectorAll('[data-fragment-path]')]
+          .map((el) => el.dataset.fragmentPath);
+        if (fragmentPaths.length) invalidateFragments(fragmentPaths);
         newBlock.style.display = 'none';
         block.insertAdjacentElement('afterend', newBlock);
         decorateButtons(newBlock);
@@ -60,6 +78,8 @@ async function applyChanges(event) {
         await loadBlock(newBlock);
         block.remove();
         newBlock.style.display = null;
+        // keep the patched tab selected
+        showTabOf(newBlock.querySelector(`[data-aue-resource="${resource}"]`));
         return true;
       }
     } else {
@@ -106,6 +126,12 @@ function attachEventListners(main) {
     const applied = await applyChanges(event);
     if (!applied) window.location.reload();
   }));
+
+  // show the tab of the component selected in the editor
+  main?.addEventListener('aue:ui-select', (event) => {
+    const { resource, selected } = event.detail || {};
+    if (selected && resource) showTabOf(document.querySelector(`[data-aue-resource="${resource}"]`));
+  });
 }
 
 attachEventListners(document.querySelector('main'));
@@ -1,4 +1,6 @@
 import {
+  buildBlock,
+  getMetadata,
   loadHeader,
   loadFooter,
   decorateButtons,
@@ -10,6 +12,8 @@ import {
   loadSection,
   loadSections,
   loadCSS,
+  loadScript,
+  toClassName,
 } from './aem.js';
 
 /**
@@ -46,6 +50,127 @@ export function moveInstrumentation(from, to) {
   );
 }
 
+/**
+ * Creates an element with attributes and children, without parsing any markup.
+ * @param {string} tag The tag name of the element
+ * @param {object} [attributes] The attributes to set, empty values are skipped
+ * @param {Node|string|Array<Node|string>} [children] The children, strings become text nodes
+ * @returns {Element} The element
+ */
+export function createTag(tag, attributes = {}, children = []) {
+  const el = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== false) {
+      el.setAttribute(name, value === true ? '' : value);
+    }
+  });
+  [children].flat().forEach((child) => {
+    if (child !== undefined && child !== null && child !== '') el.append(child);
+  });
+  return el;
+}
+
+/**
+ * Returns an id derived from a label, which is not used yet in the document nor in the block
+ * the id is created for, even while the block is not in the document. Ids of an older copy of
+ * the block, which the editor keeps in the document while decorating the block again, do not
+ * count, so links to the ids keep working after each edit.
+ * @param {string} label The label to derive the id from
+ * @param {string} fallback The id used for empty labels
+ * @param {Element} block The block the id is created for
+ * @returns {string} The id
+ */
+export function getUniqueId(label, fallback, block) {
+  const base = toClassName(label) || fallback;
+  const resource = block.dataset.aueResource;
+  const isTaken = (id) => [document.getElementById(id), block.querySelector(`#${CSS.escape(id)}`)]
+    .filter(Boolean)
+    .some((el) => {
+      const owner = el.closest('.block');
+      return !resource || owner === block || owner?.dataset.aueResource !== resource;
+    });
+  let id = base;
+  for (let i = 2; isTaken(id); i += 1) id = `${base}-${i}`;
+  return id;
+}
+
+/**
+ * Site wide content fragment defaults, each value can be overridden per page through metadata:
+ * cf-environment, cf-origin, cf-graphql-config and cf-mock-path.
+ * Local development queries the publish tier, unless cf-mock-path points to mock responses.
+ */
+export const SITE_CONFIG = {
+  graphqlConfig: 'jan-cf-models',
+  environments: {
+    author: {
+      origin: 'https://author-p9606-e71941.adobeaemcloud.com',
+      credentials: 'include',
+    },
+    publish: {
+      origin: 'https://publish-p9606-e71941.adobeaemcloud.com',
+      credentials: 'omit',
+    },
+    local: {
+      origin: 'https://publish-p9606-e71941.adobeaemcloud.com',
+      credentials: 'omit',
+    },
+  },
+};
+
+/**
+ * Detects the environment the page is rendered in.
+ * @returns {string} One of author, publish or local
+ */
+export function getEnvironment() {
+  const override = getMetadata('cf-environment').toLowerCase();
+  if (SITE_CONFIG.environments[override]) return override;
+
+  const { hostname } = window.location;
+  if (hostname === 'localhost' || hostname === '127.0.0.1') return 'local';
+  if (hostname.startsWith('author-')) return 'author';
+  return 'publish';
+}
+
+/**
+ * Returns the given url if it is safe to use in a link, i.e. relative or
+ * using the http(s), mailto or tel protocol.
+ * @param {string} url The url to check
+ * @returns {string} The url, or an empty string if unsafe
+ */
+export function sanitizeUrl(url) {
+  if (!url) return '';
+  try {
+    const { protocol } = new URL(url, window.location.href);
+    return ['http:', 'https:', 'mailto:', 'tel:'].includes(protocol) ? url : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// DOMPurify is loaded once: loadScript resolves right away for a script already in the head,
+// even while it is still loading
+let purifyLoaded;
+
+/**
+ * Sanitizes rich text markup with the vendored DOMPurify.
+ * @param {string} html The markup to sanitize
+ * @returns {Promise<DocumentFragment>} The sanitized content
+ */
+export async function sanitizeHTML(html) {
+  if (!purifyLoaded) {
+    purifyLoaded = loadScript(`${window.hlx.codeBasePath}/scripts/dompurify.min.js`)
+      .catch((error) => {
+        purifyLoaded = undefined;
+        throw error;
+      });
+  }
+  await purifyLoaded;
+  return window.DOMPurify.sanitize(html || '', {
+    USE_PROFILES: { html: true },
+    RETURN_DOM_FRAGMENT: true,
+  });
+}
+
 /**
  * load fonts.css and set a session storage flag
  */
@@ -58,17 +183,111 @@ async function loadFonts() {
   }
 }
 
+const AUTO_BLOCKS = [];
+
 /**
- * Builds all synthetic blocks in a container element.
+ * Registers an auto block rule, which turns default content into a block.
+ * Rules run in the order they are registered, only on pages with one of their templates
+ * if they declare any, and can be disabled with the auto-blocks metadata, e.g.
+ * "hero, embed" to only run those rules, or "none".
+ * @param {string} name The name of the rule
+ * @param {function} build Builds the blocks in the main element passed to it
+ * @param {object} [options] The templates of the pages to run the rule on, all by default,
+ * and whether to run it in the content of fragments too
+ */
+export function registerAutoBlock(name, build, { templates = [], fragments = true } = {}) {
+  AUTO_BLOCKS.push({
+    name,
+    build,
+    templates: templates.map((template) => toClassName(template)),
+    fragments,
+  });
+}
+
+/**
+ * Returns the paragraphs of the default content which only hold a link,
+ * and the url of their link.
  * @param {Element} main The container element
+ * @returns {object[]} The paragraphs and their url
  */
-function buildAutoBlocks() {
-  try {
-    // TODO: add auto block, if needed
-  } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Auto Blocking failed', error);
+function getLinkParagraphs(main) {
+  return [...main.querySelectorAll(':scope > div > p')]
+    .filter((p) => p.children.length === 1 && p.firstElementChild.tagName === 'A'
+      && p.textContent.trim() === p.firstElementChild.textContent.trim())
+    .map((p) => ({ p, url: new URL(p.firstElementChild.href, window.location.href) }));
+}
+
+// a leading h1 and picture of the first section become a hero in a section of its own,
+// only in the main content of the page, not of the fragments included in it
+registerAutoBlock('hero', (main) => {
+  const section = main.querySelector(':scope > div');
+  if (!section || main.querySelector('.hero')) return;
+  const [first, second] = [...section.children];
+  const h1 = [first, second].find((el) => el?.tagName === 'H1');
+  const pictureParagraph = [first, second].find((el) => el?.tagName === 'P'
+    && el.children.length === 1 && el.firstElementChild.tagName === 'PICTURE');
+  if (!h1 || !pictureParagraph) return;
+  const heroSection = document.createElement('div');
+  heroSection.append(buildBlock('hero', [[pictureParagraph.firstElementChild], [h1]]));
+  pictureParagraph.remove();
+  main.prepend(heroSection);
+}, { fragments: false });
+
+// links to fragments on their own become fragment blocks
+registerAutoBlock('fragment', (main) => {
+  getLinkParagraphs(main)
+    .filter(({ url }) => url.origin === window.location.origin && url.pathname.startsWith('/fragments/'))
+    .forEach(({ p }) => p.replaceWith(buildBlock('fragment', [[p.firstElementChild]])));
+});
+
+/**
+ * Checks whether a url points to a single youtube or vimeo video, rather than e.g. a channel.
+ * @param {URL} url The url to check
+ * @returns {boolean} True for video urls
+ */
+function isVideoUrl(url) {
+  const host = url.hostname.replace(/^(www|m)\./, '');
+  if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    return (url.pathname === '/watch' && !!url.searchParams.get('v'))
+      || /^\/embed\/[\w-]+$/.test(url.pathname);
+  }
+  if (host === 'youtu.be') return /^\/[\w-]+$/.test(url.pathname);
+  if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+    return url.pathname.split('/').some((segment) => /^\d+$/.test(segment));
   }
+  return false;
+}
+
+// youtube and vimeo video links on their own become embed blocks, only in the main content
+// of the page, not in fragments such as the header and footer
+registerAutoBlock('embed', (main) => {
+  getLinkParagraphs(main)
+    .filter(({ url }) => isVideoUrl(url))
+    .forEach(({ p }) => p.replaceWith(buildBlock('embed', [[p.firstElementChild]])));
+}, { fragments: false });
+
+/**
+ * Builds all synthetic blocks in a container element.
+ * @param {Element} main The container element
+ */
+function buildAutoBlocks(main) {
+  const setting = getMetadata('auto-blocks').toLowerCase();
+  const enabled = setting ? setting.split(',').map((name) => name.trim()) : null;
+  const template = toClassName(getMetadata('template'));
+  // fragments are decorated with their path chain, see loadFragment
+  const inFragment = !!main.dataset.fragmentChain;
+  AUTO_BLOCKS
+    .filter(({ name }) => !enabled || enabled.includes(name))
+    .filter(({ templates }) => !templates.length || templates.includes(template))
+    .filter(({ fragments }) => fragments || !inFragment)
+    .forEach(({ name, build }) => {
+      try {
+        build(main);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`Auto Blocking ${name} failed`, error);
+      }
+    });
 }
 
 /**
@@ -0,0 +1,75 @@
+/*
+ * Component Filter Check
+ * Verifies that every block with a component definition can be inserted by authors, i.e. that
+ * one of its components is reachable from the main filter of the merged component-filters.json.
+ * Run after build:json, exits with 1 and a report listing the unreachable blocks otherwise.
+ */
+
+/* eslint-disable no-console */
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+const ROOT = 'main';
+
+/**
+ * Reads a JSON file.
+ * @param {string} file The path of the file
+ * @returns {*} The parsed content
+ */
+function readJSON(file) {
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+/**
+ * Collects the component ids reachable from the root filter. A component opens its own filter
+ * when its template names one, or when a filter with the id of the component exists.
+ * @param {object[]} filters The merged filters
+ * @param {object[]} definitions The component definitions
+ * @returns {Set<string>} The reachable component ids
+ */
+function findReachable(filters, definitions) {
+  const filtersById = new Map(filters.map((filter) => [filter.id, filter.components || []]));
+  const templateFilters = new Map(definitions.map((definition) => [
+    definition.id,
+    definition.plugins?.xwalk?.page?.template?.filter,
+  ]));
+
+  const reachable = new Set();
+  const visited = new Set();
+  const queue = [ROOT];
+  while (queue.length) {
+    const filterId = queue.shift();
+    if (!visited.has(filterId)) {
+      visited.add(filterId);
+      (filtersById.get(filterId) || []).forEach((id) => {
+        reachable.add(id);
+        [templateFilters.get(id), id]
+          .filter((next) => next && filtersById.has(next))
+          .forEach((next) => queue.push(next));
+      });
+    }
+  }
+  return reachable;
+}
+
+const definitions = readJSON('component-definition.json').groups
+  .flatMap((group) => group.components || []);
+const reachable = findReachable(readJSON('component-filters.json'), definitions);
+
+const unreachable = readdirSync('blocks', { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .flatMap((entry) => readdirSync(join('blocks', entry.name))
+    .filter((file) => /^_.*\.json$/.test(file))
+    .map((file) => join('blocks', entry.name, file)))
+  .map((file) => ({
+    file,
+    ids: (readJSON(file).definitions || []).map(({ id }) => id),
+  }))
+  .filter(({ ids }) => ids.length && !ids.some((id) => reachable.has(id)));
+
+if (unreachable.length) {
+  console.error('The following blocks are not reachable from any component filter:');
+  unreachable.forEach(({ file, ids }) => console.error(`  ${file} (${ids.join(', ')})`));
+  console.error(`Add one of their components to a filter reachable from "${ROOT}", e.g. in models/_section.json.`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,167 @@
+/*
+ * Component JSON Validation
+ * Checks the merged component-models.json, component-definition.json and component-filters.json
+ * for consistency, and lists the fields of the block partials their decorator may not read.
+ * Run after build:json. Errors exit with 1, possibly unread fields are only reported.
+ */
+
+/* eslint-disable no-console */
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tokenize } from 'espree';
+
+// fields collapsed into the field they are named after, e.g. imageAlt into image
+const COLLAPSED_SUFFIXES = ['Alt', 'Text', 'Title', 'Type', 'MimeType'];
+// fields read by the renderer rather than by the decorator
+const RENDERED_FIELDS = /^classes(_.+)?$/;
+// components whose fields configure the component instead of rendering into rows
+const CONFIGURED_RESOURCE_TYPES = ['core/franklin/components/columns/v1/columns'];
+// components provided by the editor without a definition, e.g. the cells of columns
+const IMPLICIT_COMPONENTS = ['column'];
+
+const errors = [];
+const notes = [];
+
+/**
+ * Reads a JSON file.
+ * @param {string} file The path of the file
+ * @returns {*} The parsed content
+ */
+function readJSON(file) {
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+/**
+ * Reports ids used more than once.
+ * @param {string} kind The kind of the ids
+ * @param {string[]} ids The ids
+ */
+function checkUnique(kind, ids) {
+  const seen = new Set();
+  ids.forEach((id) => {
+    if (seen.has(id)) errors.push(`${kind} "${id}" is declared more than once`);
+    seen.add(id);
+  });
+}
+
+/**
+ * Returns the page template of a definition.
+ * @param {object} definition The component definition
+ * @returns {object} The xwalk page settings
+ */
+function getPage(definition) {
+  return definition.plugins?.xwalk?.page || {};
+}
+
+/**
+ * Checks that the merged files reference each other consistently.
+ * @param {object[]} models The component models
+ * @param {object[]} definitions The component definitions
+ * @param {object[]} filters The component filters
+ */
+function checkReferences(models, definitions, filters) {
+  const modelIds = new Set(models.map(({ id }) => id));
+  const definitionIds = new Set([...definitions.map(({ id }) => id), ...IMPLICIT_COMPONENTS]);
+  const filterIds = new Set(filters.map(({ id }) => id));
+
+  checkUnique('Model', models.map(({ id }) => id));
+  checkUnique('Component', definitions.map(({ id }) => id));
+  checkUnique('Filter', filters.map(({ id }) => id));
+
+  definitions.forEach(({ id, ...definition }) => {
+    const { template = {} } = getPage(definition);
+    if (template.model && !modelIds.has(template.model)) {
+      errors.push(`Component "${id}" references the missing model "${template.model}"`);
+    }
+    if (template.filter && !filterIds.has(template.filter)) {
+      errors.push(`Component "${id}" references the missing filter "${template.filter}"`);
+    }
+  });
+
+  filters.forEach(({ id, components = [] }) => {
+    components
+      .filter((component) => !definitionIds.has(component))
+      .forEach((component) => errors.push(`Filter "${id}" references the missing component "${component}"`));
+  });
+
+  models.forEach(({ id, fields = [] }) => {
+    const names = fields.map(({ name }) => name).filter(Boolean);
+    const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+    [...new Set(duplicates)]
+      .forEach((name) => errors.push(`Model "${id}" declares the field "${name}" more than once`));
+  });
+}
+
+/**
+ * Collects the names the code of a block refers to, comments excluded: identifiers and
+ * data-aue-prop or data-richtext-prop selectors in strings.
+ * @param {string} source The code of the block
+ * @returns {Set<string>} The referenced field names
+ */
+function collectReferences(source) {
+  const references = new Set();
+  tokenize(source, { ecmaVersion: 'latest', sourceType: 'module' }).forEach(({ type, value }) => {
+    if (type === 'Identifier') {
+      references.add(value);
+    } else if (type === 'String' || type === 'Template') {
+      [...value.matchAll(/data-(?:aue|richtext)-prop=["']?([\w:-]+)/g)]
+        .forEach(([, name]) => references.add(name));
+    }
+  });
+  return references;
+}
+
+/**
+ * Lists the fields of the block models the code of their block never refers to. As fields
+ * render into rows by position, most decorators read them without naming them, so these are
+ * hints to look at, e.g. for a field added to a model but not to its decorator.
+ */
+function checkFieldUsage() {
+  readdirSync('blocks', { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach(({ name: block }) => {
+      const dir = join('blocks', block);
+      const files = readdirSync(dir);
+      const scripts = files.filter((file) => file.endsWith('.js'));
+      if (!scripts.length) return;
+      const references = new Set(scripts.flatMap((file) => [
+        ...collectReferences(readFileSync(join(dir, file), 'utf8')),
+      ]));
+
+      files
+        .filter((file) => /^_.*\.json$/.test(file))
+        .forEach((file) => {
+          const { definitions = [], models = [] } = readJSON(join(dir, file));
+          const configured = new Set(definitions
+            .map((definition) => ({ id: definition.id, ...getPage(definition) }))
+            .filter(({ resourceType }) => CONFIGURED_RESOURCE_TYPES.includes(resourceType))
+            .map(({ id, template }) => template?.model || id));
+
+          models
+            .filter(({ id }) => !configured.has(id))
+            .forEach(({ id, fields = [] }) => {
+              const names = fields.map(({ name }) => name).filter(Boolean);
+              names
+                .filter((name) => !RENDERED_FIELDS.test(name))
+                .filter((name) => !COLLAPSED_SUFFIXES.some((suffix) => name.endsWith(suffix)
+                  && names.includes(name.slice(0, -suffix.length))))
+                .filter((name) => !references.has(name))
+                .forEach((name) => notes.push(`${join(dir, file)}: the field "${name}" of the model "${id}" is not referred to by the ${block} block`));
+            });
+        });
+    });
+}
+
+const models = readJSON('component-models.json');
+const definitions = readJSON('component-definition.json').groups
+  .flatMap((group) => group.components || []);
+const filters = readJSON('component-filters.json');
+
+checkReferences(models, definitions, filters);
+checkFieldUsage();
+
+errors.forEach((error) => console.error(`error: ${error}`));
+notes.forEach((note) => console.info(`note: ${note}`));
+if (errors.length) {
+  process.exitCode = 1;
+}